@@ -0,0 +1,123 @@
+import { animate } from "./animate.js";
+
+/**
+ * Resolve a selector, element or element list into unique elements in
+ * document order of the input.
+ *
+ * @param {import('./types.js').AnimateTargets} targets
+ * @returns {HTMLElement[]}
+ */
+export function resolveTargets(targets) {
+  if (typeof targets === "string") {
+    if (typeof document === "undefined") return [];
+    return /** @type {HTMLElement[]} */ (
+      Array.from(document.querySelectorAll(targets))
+    );
+  }
+  if (!targets) return [];
+  if (typeof (/** @type {Element} */ (targets).nodeType) === "number") {
+    return [/** @type {HTMLElement} */ (targets)];
+  }
+
+  return /** @type {HTMLElement[]} */ (
+    Array.from(
+      new Set(
+        Array.from(
+          /** @type {ArrayLike<Element> | Iterable<Element>} */ (targets),
+        ),
+      ),
+    )
+  );
+}
+
+/**
+ * Animate a group of elements with shared options.
+ *
+ * Each member is bound through `animate`, so members with identical observer
+ * options share one IntersectionObserver from the observer registry. The
+ * returned handle owns every member handle it created.
+ *
+ * `perElement` receives the element's position in the member list. `add()`
+ * appends, and `remove()` re-applies the options of the members that move up,
+ * so indices always match the current list.
+ *
+ * @param {import('./types.js').AnimateTargets} targets
+ * @param {import('./types.js').AnimateAllOptions} [options]
+ * @returns {import('./types.js').AnimateGroupHandle}
+ */
+export function animateAll(targets, options = {}) {
+  /** @type {Map<HTMLElement, import('./types.js').AnimateHandle>} */
+  const handles = new Map();
+  let currentOptions = options;
+  let destroyed = false;
+
+  /**
+   * @param {HTMLElement} element
+   * @param {number} index
+   * @returns {import('./types.js').AnimateOptions}
+   */
+  function resolveOptions(element, index) {
+    const { perElement, ...shared } = currentOptions;
+    const overrides = perElement?.(element, index);
+    return overrides ? { ...shared, ...overrides } : shared;
+  }
+
+  /**
+   * Re-apply the options of the members from list position `start` on.
+   *
+   * @param {number} [start=0]
+   */
+  function applyOptions(start = 0) {
+    let index = 0;
+    for (const [element, handle] of handles) {
+      if (index >= start) handle.update(resolveOptions(element, index));
+      index++;
+    }
+  }
+
+  /** @param {import('./types.js').AnimateTargets} nextTargets */
+  function add(nextTargets) {
+    if (destroyed) return;
+    for (const element of resolveTargets(nextTargets)) {
+      if (handles.has(element)) continue;
+      // New members join the end of the list, so their index is its length.
+      handles.set(
+        element,
+        animate(element, resolveOptions(element, handles.size)),
+      );
+    }
+  }
+
+  add(targets);
+
+  return {
+    get elements() {
+      return Array.from(handles.keys());
+    },
+    update(newOptions = {}) {
+      if (destroyed) return;
+      currentOptions = newOptions;
+      applyOptions();
+    },
+    add,
+    remove(removedTargets) {
+      const members = Array.from(handles.keys());
+      let start = members.length;
+      for (const element of resolveTargets(removedTargets)) {
+        const handle = handles.get(element);
+        if (!handle) continue;
+        start = Math.min(start, members.indexOf(element));
+        handle.destroy();
+        handles.delete(element);
+      }
+      // Members after a removed one move up, so their index changes.
+      if (currentOptions.perElement && !destroyed) applyOptions(start);
+    },
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      for (const handle of handles.values()) handle.destroy();
+      handles.clear();
+    },
+  };
+}
@@ -3,21 +3,75 @@ import {
   setupAnimationElement,
   createSentinel,
   checkAndWarnIfCSSNotLoaded,
+  supportsViewTimeline,
+  supportsWebAnimations,
 } from "./dom-utils.js";
 import {
   createManagedObserver,
   disconnectObserver,
   thresholdsMatch,
 } from "./observer-utils.js";
-import { ANIMATION_TYPES } from "./animations.js";
+import {
+  ANIMATION_TYPES,
+  calculateScrollProgress,
+  calculateStaggerDelay,
+  getAxisSpan,
+  getScrollDirection,
+} from "./animations.js";
+import {
+  ensureAnimationStyles,
+  getCustomAnimation,
+  getCustomAnimationNames,
+} from "./custom-animations.js";
+import {
+  createKeyframes,
+  getBuiltInDefinition,
+  hasFilter,
+  toCSSValue,
+} from "./keyframes.js";
+import { splitText } from "./split-text.js";
+import { countUpOptionsMatch, createCounter } from "./count-up.js";
+import { isDrawAnimation, prepareDrawing } from "./draw.js";
+import { isEnabled, onEnabledChange, withDefaults } from "./config.js";
 
 const DEFAULT_ANIMATION = "fade-in";
+const DEFAULT_SPLIT_STAGGER = 30;
+/** Built-in animations that transition `clip-path` instead of transforms. */
+const CLIP_PATH_ANIMATIONS = [
+  "reveal-up",
+  "reveal-left",
+  "reveal-circle",
+  "reveal-diagonal",
+];
 /** @type {WeakSet<HTMLElement>} */
 const activeElements = new WeakSet();
+/**
+ * Inspectors of the live instances. Destroying a handle removes its entry,
+ * so entries left behind by a view that is gone are leaked handles.
+ * @type {Set<() => import('./types.js').AnimationInfo>}
+ */
+const liveAnimations = new Set();
+/**
+ * Observed targets that cascade with other stagger targets entering in the
+ * same observer batch.
+ * @type {WeakSet<Element>}
+ */
+const staggerTargets = new WeakSet();
+
+/**
+ * Snapshot of every live `animate` instance — including those created by the
+ * Svelte action, `animateAll`, `watch` and `init` — for dashboards and leak
+ * debugging. The records are copies; changing them has no effect.
+ *
+ * @returns {import('./types.js').AnimationInfo[]}
+ */
+export function getActiveAnimations() {
+  return Array.from(liveAnimations, (inspect) => inspect());
+}
 
 /**
  * @param {unknown} animation
- * @returns {import('./types.js').AnimationType}
+ * @returns {import('./types.js').AnimationName}
  */
 function normalizeAnimation(animation) {
   if (
@@ -26,6 +80,10 @@ function normalizeAnimation(animation) {
   ) {
     return /** @type {import('./types.js').AnimationType} */ (animation);
   }
+  if (typeof animation === "string" && getCustomAnimation(animation)) {
+    ensureAnimationStyles(animation);
+    return animation;
+  }
 
   if (
     animation !== undefined &&
@@ -34,13 +92,140 @@ function normalizeAnimation(animation) {
   ) {
     console.warn(
       `[rune-scroller] Invalid animation "${String(animation)}". Using "${DEFAULT_ANIMATION}" instead. ` +
-        `Valid options: ${ANIMATION_TYPES.join(", ")}`,
+        `Valid options: ${[...ANIMATION_TYPES, ...getCustomAnimationNames()].join(", ")}`,
     );
   }
 
   return DEFAULT_ANIMATION;
 }
 
+/**
+ * Pick the animation of a scroll direction from a per-direction option.
+ *
+ * @param {import('./types.js').AnimateOptions['animation']} option
+ * @param {import('./types.js').ScrollDirection} direction
+ * @returns {unknown}
+ */
+function resolveAnimationOption(option, direction) {
+  if (option === null || typeof option !== "object") return option;
+  return direction === "up"
+    ? (option.up ?? option.down)
+    : (option.down ?? option.up);
+}
+
+/**
+ * Properties an animation transitions, as a `will-change` value.
+ *
+ * @param {string} animation
+ * @returns {string}
+ */
+function getWillChange(animation) {
+  if (CLIP_PATH_ANIMATIONS.includes(animation)) return "clip-path";
+  const definition =
+    getBuiltInDefinition(animation) ?? getCustomAnimation(animation);
+  return hasFilter(definition?.from)
+    ? "transform, opacity, filter"
+    : "transform, opacity";
+}
+
+/**
+ * Whether a `transitionend` event ends a property that animations reveal.
+ *
+ * @param {Event} event
+ */
+function isRevealTransition(event) {
+  const prop =
+    "propertyName" in event
+      ? /** @type {{ propertyName?: string }} */ (event).propertyName
+      : undefined;
+  return (
+    !prop ||
+    prop === "transform" ||
+    prop === "opacity" ||
+    prop === "clip-path" ||
+    prop === "filter" ||
+    prop === "all"
+  );
+}
+
+/**
+ * Whether the animation option plays a `draw` animation in either direction.
+ *
+ * @param {import('./types.js').AnimateOptions['animation']} option
+ */
+function usesDrawAnimation(option) {
+  return (
+    isDrawAnimation(resolveAnimationOption(option, "down")) ||
+    isDrawAnimation(resolveAnimationOption(option, "up"))
+  );
+}
+
+/**
+ * Engine that actually drives the element: the native view-timeline engine
+ * falls back to class toggling where `animation-timeline: view()` is missing.
+ *
+ * @param {import('./types.js').AnimateOptions} options
+ * @returns {'css' | 'view-timeline'}
+ */
+function resolveEngine(options) {
+  return options.engine === "view-timeline" && supportsViewTimeline()
+    ? "view-timeline"
+    : "css";
+}
+
+/**
+ * Whether the element is played with `element.animate()`. The WAAPI engine
+ * falls back to class toggling where Web Animations are missing.
+ *
+ * @param {HTMLElement} element
+ * @param {import('./types.js').AnimateOptions} options
+ */
+function usesWebAnimations(element, options) {
+  return (
+    options.engine === "waapi" &&
+    supportsWebAnimations(element) &&
+    // Strokes are drawn by the stylesheet.
+    !usesDrawAnimation(options.animation)
+  );
+}
+
+function prefersReducedMotion() {
+  return (
+    window.matchMedia?.("(prefers-reduced-motion: reduce)").matches === true
+  );
+}
+
+/**
+ * Whether the element is scrubbed with scroll position instead of toggling
+ * `is-visible`.
+ *
+ * @param {import('./types.js').AnimateOptions} options
+ */
+function isScrubbed(options) {
+  return (
+    options.mode === "progress" || resolveEngine(options) === "view-timeline"
+  );
+}
+
+/**
+ * Whether `--rs-progress` is computed in JS. The native engine scrubs
+ * without any script on scroll.
+ *
+ * @param {import('./types.js').AnimateOptions} options
+ */
+function tracksProgress(options) {
+  return options.mode === "progress" && resolveEngine(options) === "css";
+}
+
+/**
+ * Whether the observer must stay connected after the first intersection.
+ *
+ * @param {import('./types.js').AnimateOptions} options
+ */
+function isContinuous(options) {
+  return options.repeat === true || isScrubbed(options);
+}
+
 /**
  * Snapshot caller options so replacement comparisons are not affected by
  * mutations to an object retained by the caller after animate/update.
@@ -54,9 +239,38 @@ function snapshotOptions(options) {
     threshold: Array.isArray(options.threshold)
       ? [...options.threshold]
       : options.threshold,
+    countUp:
+      typeof options.countUp === "object"
+        ? { ...options.countUp }
+        : options.countUp,
+  };
+}
+
+/**
+ * @param {HTMLElement} element
+ * @param {string} name
+ * @returns {{ hasAttribute: boolean, value: string | null }}
+ */
+function captureAttribute(element, name) {
+  return {
+    hasAttribute: element.hasAttribute(name),
+    value: element.getAttribute(name),
   };
 }
 
+/**
+ * @param {HTMLElement} element
+ * @param {string} name
+ * @param {{ hasAttribute: boolean, value: string | null }} original
+ */
+function restoreAttribute(element, name, original) {
+  if (original.hasAttribute) {
+    element.setAttribute(name, original.value ?? "");
+  } else {
+    element.removeAttribute(name);
+  }
+}
+
 /**
  * @param {HTMLElement} element
  * @param {string} property
@@ -82,6 +296,25 @@ function restoreStyleProperty(element, property, original) {
   }
 }
 
+/**
+ * Handle for calls that do not animate: without a DOM, or for an element
+ * another handle already owns.
+ *
+ * @returns {import('./types.js').AnimateHandle}
+ */
+function createNoopHandle() {
+  return {
+    update: () => {},
+    show: () => {},
+    hide: () => {},
+    reset: () => {},
+    replay: () => {},
+    state: "pending",
+    finished: Promise.resolve(),
+    destroy: () => {},
+  };
+}
+
 /**
  * Animate an element when it enters the viewport.
  *
@@ -95,10 +328,7 @@ function restoreStyleProperty(element, property, original) {
  */
 export function animate(element, options = {}) {
   if (typeof window === "undefined") {
-    return {
-      update: () => {},
-      destroy: () => {},
-    };
+    return createNoopHandle();
   }
 
   if (activeElements.has(element)) {
@@ -110,14 +340,16 @@ export function animate(element, options = {}) {
         "[rune-scroller] animate() already owns this element. Destroy the existing handle before creating another.",
       );
     }
-    return {
-      update: () => {},
-      destroy: () => {},
-    };
+    return createNoopHandle();
   }
   activeElements.add(element);
+  const initialOptions = withDefaults(options);
 
-  if (typeof document !== "undefined") {
+  // The WAAPI engine plays keyframes without the stylesheet.
+  if (
+    typeof document !== "undefined" &&
+    !usesWebAnimations(element, initialOptions)
+  ) {
     checkAndWarnIfCSSNotLoaded();
   }
 
@@ -127,6 +359,10 @@ export function animate(element, options = {}) {
     animationAttribute: element.getAttribute("data-animation"),
     hasScrollAnimateClass: element.classList.contains("scroll-animate"),
     hasVisibleClass: element.classList.contains("is-visible"),
+    modeAttribute: captureAttribute(element, "data-rs-state-mode"),
+    engineAttribute: captureAttribute(element, "data-rs-state-engine"),
+    directionAttribute: captureAttribute(element, "data-rs-direction"),
+    splitAttribute: captureAttribute(element, "data-rs-state-split"),
   };
   /** @type {string | undefined} */
   let originalPosition;
@@ -144,11 +380,100 @@ export function animate(element, options = {}) {
   let originalEasing;
   /** @type {{ value: string, priority: string } | undefined} */
   let originalWillChange;
+  /** @type {{ value: string, priority: string } | undefined} */
+  let originalProgress;
 
-  let currentOptions = snapshotOptions(options);
-  let animation = normalizeAnimation(currentOptions.animation);
+  let currentOptions = snapshotOptions(initialOptions);
+  // The options as given, for inspectors that pass them back to `update()`.
+  let callerOptions = snapshotOptions(options);
+  /** @type {import('./types.js').ScrollDirection | undefined} */
+  let direction;
+
+  /**
+   * Entry animation for a scroll direction. Before the first intersection
+   * change, per-direction options use their `down` animation.
+   *
+   * @param {import('./types.js').ScrollDirection} [scrollDirection]
+   */
+  function selectAnimation(scrollDirection = direction ?? "down") {
+    return normalizeAnimation(
+      resolveAnimationOption(currentOptions.animation, scrollDirection),
+    );
+  }
+
+  let animation = selectAnimation();
   setupAnimationElement(element, animation);
 
+  /** @type {Map<string, { value: string, priority: string }>} */
+  const originalVariables = new Map();
+
+  /**
+   * @param {string} property
+   * @param {string | undefined} value - `undefined` reverts to the caller-owned value
+   */
+  function syncVariable(property, value) {
+    if (value !== undefined) {
+      if (!originalVariables.has(property)) {
+        originalVariables.set(
+          property,
+          captureStyleProperty(element, property),
+        );
+      }
+      element.style.setProperty(property, value);
+      return;
+    }
+    const saved = originalVariables.get(property);
+    if (saved) {
+      restoreStyleProperty(element, property, saved);
+      originalVariables.delete(property);
+    }
+  }
+
+  /**
+   * @param {number | string | undefined} value
+   * @param {string} unit - Applied to bare numbers
+   */
+  function toVariable(value, unit) {
+    return value !== undefined ? toCSSValue(value, unit) : undefined;
+  }
+
+  function syncVariables() {
+    const { exitDuration, exitDelay, exitEasing } = currentOptions;
+    syncVariable("--exit-duration", toVariable(exitDuration, "ms"));
+    syncVariable("--exit-delay", toVariable(exitDelay, "ms"));
+    syncVariable("--exit-easing", exitEasing);
+
+    // Hidden-state overrides; an inline value beats the stylesheet rules.
+    const { distance, scale, rotate, perspective } = currentOptions;
+    syncVariable("--rs-distance", toVariable(distance, "px"));
+    syncVariable("--scale", toVariable(scale, ""));
+    syncVariable("--rotate", toVariable(rotate, "deg"));
+    syncVariable("--rs-perspective", toVariable(perspective, "px"));
+  }
+
+  syncVariables();
+
+  function syncScrubAttributes() {
+    if (currentOptions.mode === "progress") {
+      element.setAttribute("data-rs-state-mode", "progress");
+    } else {
+      restoreAttribute(element, "data-rs-state-mode", original.modeAttribute);
+    }
+    if (resolveEngine(currentOptions) === "view-timeline") {
+      element.setAttribute("data-rs-state-engine", "view-timeline");
+    } else if (usesWebAnimations(element, currentOptions)) {
+      element.setAttribute("data-rs-state-engine", "waapi");
+    } else {
+      restoreAttribute(
+        element,
+        "data-rs-state-engine",
+        original.engineAttribute,
+      );
+    }
+  }
+
+  syncScrubAttributes();
+
   // Keep transitions disabled through the first paint, without forcing a
   // synchronous layout read. The second frame restores caller transitions.
   element.style.transition = "none";
@@ -187,6 +512,27 @@ export function animate(element, options = {}) {
   const state = { isConnected: false };
   let hasTriggered = false;
   let isIntersecting = false;
+  /** @type {import('./types.js').AnimationState} */
+  let phase = "pending";
+  /** @type {HTMLElement | undefined} */
+  let observedTarget;
+  /** @type {Element | Document | null} */
+  let observedRoot = null;
+  let rtl = false;
+  let staggerDelay = 0;
+  let exited = false;
+  /** @type {number | undefined} */
+  let reentryFrame;
+  /** @type {import('./types.js').SplitTextResult | undefined} */
+  let split;
+  /** @type {import('./types.js').SplitType | undefined} */
+  let splitBy;
+  /** @type {ReturnType<typeof prepareDrawing> | undefined} */
+  let drawing;
+  /** @type {import('./types.js').Counter | undefined} */
+  let counter;
+  /** @type {import('./types.js').AnimateOptions['countUp']} */
+  let counterOptions;
 
   function ensurePositioningContext() {
     const computedPosition =
@@ -203,6 +549,7 @@ export function animate(element, options = {}) {
 
   function renderSentinel() {
     ensurePositioningContext();
+    rtl = isRightToLeft();
     const result = createSentinel(
       element,
       true,
@@ -210,6 +557,8 @@ export function animate(element, options = {}) {
       currentOptions.sentinelColor,
       currentOptions.debugLabel,
       currentOptions.sentinelId ?? sentinelId,
+      currentOptions.axis,
+      rtl,
     );
     sentinelId = result.id;
     originalSentinelAttribute ??= {
@@ -291,13 +640,7 @@ export function animate(element, options = {}) {
 
   /** @param {Event} event */
   function onTransitionEnd(event) {
-    if (event.target !== element) return;
-    const prop =
-      "propertyName" in event
-        ? /** @type {{ propertyName?: string }} */ (event).propertyName
-        : undefined;
-    if (prop && prop !== "transform" && prop !== "opacity" && prop !== "all")
-      return;
+    if (event.target !== element || !isRevealTransition(event)) return;
     releaseWillChange();
   }
 
@@ -310,53 +653,824 @@ export function animate(element, options = {}) {
   function activateWillChange() {
     if (element.style.getPropertyValue("will-change") || willChangeActive)
       return;
-    if (window.matchMedia?.("(prefers-reduced-motion: reduce)").matches) return;
+    // Split text and drawn strokes move children, not the element.
+    if (prefersReducedMotion() || split || isDrawAnimation(animation)) return;
 
     const duration = Number(currentOptions.duration ?? 400);
     if (Number.isFinite(duration) && duration <= 0) return;
 
     originalWillChange ??= captureStyleProperty(element, "will-change");
     willChangeActive = true;
-    element.style.setProperty("will-change", "transform, opacity");
+    element.style.setProperty("will-change", getWillChange(animation));
     element.addEventListener("transitionend", onTransitionEnd);
     element.addEventListener("animationend", onAnimationEnd);
-    const delay = Number(currentOptions.delay ?? 0);
+    const delay = Number(currentOptions.delay ?? 0) + staggerDelay;
     const timeout = Number.isFinite(delay)
       ? Math.max(0, duration + delay) + 100
       : 500;
     willChangeTimer = window.setTimeout(releaseWillChange, timeout);
   }
 
-  /** @param {IntersectionObserverEntry[]} entries */
-  const handleIntersection = (entries) => {
+  let intersectionRatio = 0;
+
+  /**
+   * Dispatch a bubbling `rs:*` lifecycle event on the element, next to the
+   * option callbacks, for code that only has access to the markup.
+   *
+   * @param {'enter' | 'leave' | 'complete' | 'destroy'} type
+   */
+  function emit(type) {
+    /** @type {import('./types.js').LifecycleDetail} */
+    const detail = { animation, direction, intersectionRatio, handle };
+    element.dispatchEvent(
+      new window.CustomEvent(`rs:${type}`, { bubbles: true, detail }),
+    );
+  }
+
+  /** @type {() => void} */
+  let resolveFinished = () => {};
+  /** @type {(reason: Error) => void} */
+  let rejectFinished = () => {};
+  let finishedSettled = false;
+  let finished = createFinished();
+  /** @type {number | undefined} */
+  let completionTimer;
+  let awaitingCompletion = false;
+
+  /** @returns {Promise<void>} */
+  function createFinished() {
+    /** @type {Promise<void>} */
+    const promise = new Promise((resolve, reject) => {
+      resolveFinished = () => resolve();
+      rejectFinished = reject;
+    });
+    // `destroy()` rejects a pending promise; callers that never await it
+    // must not get an unhandled rejection.
+    promise.catch(() => {});
+    return promise;
+  }
+
+  /**
+   * Longest extra delay among the split pieces or drawn shapes, which
+   * transition in place of the element.
+   */
+  function getCascadeDelay() {
+    /** @type {[number, number | import('./types.js').StaggerOptions] | undefined} */
+    const cascade = split
+      ? [
+          split.groups.length,
+          currentOptions.splitStagger ?? DEFAULT_SPLIT_STAGGER,
+        ]
+      : drawing && currentOptions.drawStagger !== undefined
+        ? [drawing.shapes.length, currentOptions.drawStagger]
+        : undefined;
+    if (!cascade) return 0;
+    const [total, stagger] = cascade;
+    let longest = 0;
+    for (let index = 0; index < total; index++) {
+      longest = Math.max(longest, calculateStaggerDelay(index, total, stagger));
+    }
+    return longest;
+  }
+
+  function complete() {
+    if (!awaitingCompletion) return;
+    cancelCompletion();
+    phase = "completed";
+    finishedSettled = true;
+    resolveFinished();
+    currentOptions.onComplete?.(element);
+    emit("complete");
+  }
+
+  function cancelCompletion() {
+    awaitingCompletion = false;
+    window.clearTimeout(completionTimer);
+    completionTimer = undefined;
+    element.removeEventListener("transitionend", onCompletionEnd);
+    element.removeEventListener("animationend", onCompletionEnd);
+  }
+
+  /** @param {Event} event */
+  function onCompletionEnd(event) {
+    if (event.target !== element) return;
+    if (event.type === "transitionend" && !isRevealTransition(event)) return;
+    complete();
+  }
+
+  // A new reveal gets a new promise once the previous one has settled.
+  function renewFinished() {
+    if (!finishedSettled) return;
+    finishedSettled = false;
+    finished = createFinished();
+  }
+
+  /**
+   * Wait for the reveal that just started: the element's own transition or
+   * animation end, the Web Animation finishing, or the duration + delay
+   * fallback, whichever comes first.
+   */
+  function awaitCompletion() {
+    cancelCompletion();
+    renewFinished();
+    awaitingCompletion = true;
+    if (prefersReducedMotion() || !isEnabled()) {
+      complete();
+      return;
+    }
+
+    if (!split && !drawing) {
+      element.addEventListener("transitionend", onCompletionEnd);
+      element.addEventListener("animationend", onCompletionEnd);
+    }
+    const current = webAnimation;
+    current?.finished?.then(
+      () => {
+        if (current === webAnimation && current.playbackRate > 0) complete();
+      },
+      () => {},
+    );
+    const duration = Number(currentOptions.duration ?? 400);
+    const delay =
+      Number(currentOptions.delay ?? 0) + staggerDelay + getCascadeDelay();
+    const timeout =
+      Number.isFinite(duration) && Number.isFinite(delay)
+        ? Math.max(0, duration + delay) + 100
+        : 500;
+    completionTimer = window.setTimeout(complete, timeout);
+  }
+
+  /**
+   * Apply the extra stagger delay on top of the `delay` option, or revert
+   * `--delay` to its option or caller-owned value when `extra` is 0.
+   *
+   * @param {number} extra
+   */
+  function setStaggerDelay(extra) {
+    if (extra === staggerDelay) return;
+    staggerDelay = extra;
+    if (extra > 0) {
+      originalDelay ??= captureStyleProperty(element, "--delay");
+      element.style.setProperty(
+        "--delay",
+        `${Number(currentOptions.delay ?? 0) + extra}ms`,
+      );
+    } else if (currentOptions.delay !== undefined) {
+      element.style.setProperty("--delay", `${currentOptions.delay}ms`);
+    } else if (originalDelay) {
+      restoreStyleProperty(element, "--delay", originalDelay);
+      originalDelay = undefined;
+    }
+  }
+
+  /**
+   * Position of this target among the stagger targets entering in the same
+   * observer batch. A target entering alone gets no extra delay.
+   *
+   * @param {IntersectionObserverEntry} entry
+   * @param {readonly IntersectionObserverEntry[]} batch
+   * @returns {number}
+   */
+  function getStaggerDelay(entry, batch) {
+    if (currentOptions.stagger === undefined) return 0;
+    const peers = batch.filter(
+      (peer) => peer.isIntersecting && staggerTargets.has(peer.target),
+    );
+    return calculateStaggerDelay(
+      peers.indexOf(entry),
+      peers.length,
+      currentOptions.stagger,
+    );
+  }
+
+  /** @type {Animation | undefined} */
+  let webAnimation;
+
+  /**
+   * Resolved value of a custom property, set on the element or inherited
+   * from its ancestors.
+   *
+   * @param {string} property
+   */
+  function readVariable(property) {
+    const value =
+      typeof getComputedStyle === "function"
+        ? getComputedStyle(element).getPropertyValue?.(property).trim()
+        : "";
+    return value || undefined;
+  }
+
+  /**
+   * Definition of the current animation, with the `scale` and `rotate`
+   * options applied to a variable-driven hidden state like the stylesheet
+   * applies them.
+   *
+   * @returns {import('./keyframes.js').BuiltInDefinition}
+   */
+  function getDefinition() {
+    /** @type {import('./keyframes.js').BuiltInDefinition} */
+    const definition =
+      getBuiltInDefinition(animation) ?? getCustomAnimation(animation) ?? {};
+    const { scale, rotate } = currentOptions;
+    if (
+      definition.keyframes?.length ||
+      (scale === undefined && rotate === undefined)
+    ) {
+      return definition;
+    }
+    return {
+      ...definition,
+      from: {
+        ...definition.from,
+        ...(scale !== undefined && { scale }),
+        ...(rotate !== undefined && { rotate }),
+      },
+    };
+  }
+
+  /**
+   * Create, rebuild or cancel the Web Animation so it matches the current
+   * options. A rebuilt animation resumes in the state the element is in:
+   * revealed, hidden, or at the current scroll progress.
+   */
+  function syncWebAnimation() {
+    webAnimation?.cancel();
+    webAnimation = undefined;
+    if (!usesWebAnimations(element, currentOptions)) {
+      element.classList.add("scroll-animate");
+      return;
+    }
+
+    // Without the class, a loaded stylesheet leaves the element alone.
+    if (!original.hasScrollAnimateClass) {
+      element.classList.remove("scroll-animate");
+    }
+    const definition = getDefinition();
+    webAnimation = element.animate(
+      createKeyframes(
+        definition,
+        toVariable(currentOptions.distance, "px") ??
+          readVariable("--rs-distance"),
+        toVariable(currentOptions.perspective, "px") ??
+          readVariable("--rs-perspective"),
+      ),
+      {
+        duration: Number(currentOptions.duration ?? 400),
+        delay: Number(currentOptions.delay ?? 0) + staggerDelay,
+        easing: definition.easing ?? currentOptions.easing ?? "ease",
+        fill: "both",
+      },
+    );
+    webAnimation.pause();
+    if (tracksProgress(currentOptions)) {
+      if (progress !== undefined) seekWebAnimation(progress);
+    } else if (element.classList.contains("is-visible")) {
+      webAnimation.finish();
+    }
+  }
+
+  /**
+   * Play the Web Animation towards the revealed or hidden state from
+   * wherever it currently is, so an exit mid-reveal reverses smoothly.
+   *
+   * @param {boolean} visible
+   */
+  function playWebAnimation(visible) {
+    if (!webAnimation) return;
+    const effect = webAnimation.effect;
+    effect?.updateTiming({
+      delay: Number(currentOptions.delay ?? 0) + staggerDelay,
+    });
+    const end = Number(effect?.getComputedTiming().endTime ?? 0);
+    const time = Number(webAnimation.currentTime ?? 0);
+
+    if (prefersReducedMotion()) {
+      webAnimation.pause();
+      webAnimation.currentTime = visible ? end : 0;
+      return;
+    }
+    // play() rewinds an animation already at its end, so settle instead.
+    if (visible ? time >= end : time <= 0) {
+      webAnimation.pause();
+      return;
+    }
+    webAnimation.playbackRate = visible ? 1 : -1;
+    webAnimation.play();
+  }
+
+  /**
+   * Scrub the Web Animation in progress mode, with the mapping of the
+   * stylesheet: the reveal completes when the element reaches the middle.
+   *
+   * @param {number} value - Scroll progress between 0 and 1
+   */
+  function seekWebAnimation(value) {
+    if (!webAnimation) return;
+    const end = Number(webAnimation.effect?.getComputedTiming().endTime ?? 0);
+    const reveal = prefersReducedMotion() ? 1 : Math.min(1, value * 2);
+    webAnimation.currentTime = reveal * end;
+  }
+
+  /**
+   * Whether leaving plays a distinct exit animation. The WAAPI engine and
+   * scrubbed modes reverse the entry instead.
+   */
+  function hasExitAnimation() {
+    return (
+      currentOptions.repeat === true &&
+      currentOptions.exitAnimation !== undefined &&
+      !isScrubbed(currentOptions) &&
+      !usesWebAnimations(element, currentOptions)
+    );
+  }
+
+  // While `is-exited` is set, data-animation holds the exit animation, so
+  // the element transitions to that animation's hidden state.
+  function applyExit() {
+    exited = true;
+    setAnimationName(normalizeAnimation(currentOptions.exitAnimation));
+    setState("is-exited", true);
+  }
+
+  function clearExit() {
+    if (!exited) return;
+    exited = false;
+    setState("is-exited", false);
+    setAnimationName(animation);
+  }
+
+  function cancelReentry() {
+    if (reentryFrame === undefined) return;
+    window.cancelAnimationFrame?.(reentryFrame);
+    reentryFrame = undefined;
+    restoreTransitions();
+  }
+
+  function restoreTransitions() {
+    element.style.transition = original.transition;
+    for (const piece of split?.pieces ?? []) {
+      piece.style.removeProperty("transition");
+    }
+  }
+
+  // Jump to the entry animation's hidden state with transitions off, and
+  // restore them two frames later. With `reveal`, the element is revealed
+  // then, so the entry plays from its own start instead of from the exit
+  // state or the hidden state of the other direction.
+  function jumpToStart(reveal = true) {
+    clearExit();
+    setState("is-visible", false);
+    setAnimationName(animation);
+    cancelReentry();
+    element.style.transition = "none";
+    reentryFrame = window.requestAnimationFrame(() => {
+      reentryFrame = window.requestAnimationFrame(() => {
+        reentryFrame = undefined;
+        element.style.transition = original.transition;
+        if (reveal) setState("is-visible", true);
+      });
+    });
+  }
+
+  /**
+   * Set the animation name on the element and on its split pieces.
+   *
+   * @param {string} name
+   */
+  function setAnimationName(name) {
+    element.setAttribute("data-animation", name);
+    for (const piece of split?.pieces ?? []) {
+      piece.setAttribute("data-animation", name);
+    }
+  }
+
+  /**
+   * Toggle a state class on the element and on its split pieces. Revealed
+   * pieces cascade after the element delay.
+   *
+   * @param {'is-visible' | 'is-exited'} className
+   * @param {boolean} force
+   */
+  function setState(className, force) {
+    element.classList.toggle(className, force);
+    if (!split) return;
+    if (className === "is-visible" && force) applySplitDelays();
+    for (const piece of split.pieces) piece.classList.toggle(className, force);
+  }
+
+  function applySplitDelays() {
+    if (!split) return;
+    const { groups } = split;
+    const base = Number(currentOptions.delay ?? 0) + staggerDelay;
+    const step = currentOptions.splitStagger ?? DEFAULT_SPLIT_STAGGER;
+    groups.forEach((group, index) => {
+      const delay = base + calculateStaggerDelay(index, groups.length, step);
+      for (const piece of group) {
+        piece.style.setProperty("--delay", `${delay}ms`);
+      }
+    });
+  }
+
+  /**
+   * Split, re-split or restore the text so it matches the current options.
+   * Split text needs class toggling in trigger mode: the pieces carry the
+   * animation while the element itself stays visible.
+   */
+  function syncSplit() {
+    const by =
+      currentOptions.split !== undefined &&
+      !currentOptions.countUp &&
+      !isScrubbed(currentOptions) &&
+      !usesWebAnimations(element, currentOptions)
+        ? currentOptions.split
+        : undefined;
+    if (by !== splitBy) {
+      split?.restore();
+      split = by ? splitText(element, by) : undefined;
+      splitBy = by;
+    }
+
+    if (!split) {
+      restoreAttribute(element, "data-rs-state-split", original.splitAttribute);
+      if (!usesWebAnimations(element, currentOptions)) {
+        element.classList.add("scroll-animate");
+      }
+      return;
+    }
+
+    element.setAttribute("data-rs-state-split", splitBy ?? "");
+    if (!original.hasScrollAnimateClass) {
+      element.classList.remove("scroll-animate");
+    }
+    const name = element.getAttribute("data-animation") ?? animation;
+    const visible = element.classList.contains("is-visible");
+    if (visible) applySplitDelays();
+    for (const piece of split.pieces) {
+      piece.classList.add("scroll-animate");
+      piece.setAttribute("data-animation", name);
+      piece.classList.toggle("is-visible", visible);
+      piece.classList.toggle("is-exited", exited);
+    }
+  }
+
+  /**
+   * Measure the shapes of a `draw` animation, or release them once the
+   * element no longer draws.
+   */
+  function syncDrawing() {
+    drawing?.restore();
+    drawing = usesDrawAnimation(currentOptions.animation)
+      ? prepareDrawing(element, currentOptions.drawStagger)
+      : undefined;
+  }
+
+  /**
+   * Create or replace the counter when `countUp` changes. A counter created
+   * after the reveal shows its final text right away.
+   */
+  function syncCounter() {
+    if (countUpOptionsMatch(currentOptions.countUp, counterOptions)) return;
+    counter?.finish();
+    counterOptions = currentOptions.countUp;
+    counter = counterOptions
+      ? createCounter(element, counterOptions === true ? {} : counterOptions)
+      : undefined;
+    if (!counter) return;
+    if (progress !== undefined) counter.seek(progress);
+    else if (isIntersecting || hasTriggered) counter.finish();
+    else counter.reset();
+  }
+
+  function startCounter() {
+    if (!counter) return;
+    if (prefersReducedMotion() || !isEnabled()) {
+      counter.finish();
+      return;
+    }
+    const delay = Number(currentOptions.delay ?? 0) + staggerDelay;
+    counter.start(Number.isFinite(delay) ? delay : 0);
+  }
+
+  /**
+   * Resolve the `root` option. A selector matches the closest ancestor
+   * first, so the same selector works for several scroll containers.
+   *
+   * @returns {Element | Document | null}
+   */
+  function resolveRoot() {
+    const { root } = currentOptions;
+    if (typeof root !== "string") return root ?? null;
+    const found =
+      element.parentElement?.closest(root) ?? document.querySelector(root);
+    if (
+      !found &&
+      typeof process !== "undefined" &&
+      process.env?.NODE_ENV !== "production"
+    ) {
+      console.warn(
+        `[rune-scroller] Scroll root "${root}" not found. Observing the viewport instead.`,
+      );
+    }
+    return found;
+  }
+
+  /** Bounds of the scroll root, or of the viewport without one. */
+  function getRootBounds() {
+    if (observedRoot && "getBoundingClientRect" in observedRoot) {
+      return observedRoot.getBoundingClientRect();
+    }
+    return {
+      top: 0,
+      left: 0,
+      width: window.innerWidth,
+      height: window.innerHeight,
+    };
+  }
+
+  /** Whether a horizontal axis runs right to left. */
+  function isRightToLeft() {
+    return (
+      currentOptions.axis === "x" &&
+      typeof getComputedStyle === "function" &&
+      getComputedStyle(element).direction === "rtl"
+    );
+  }
+
+  /**
+   * Observer margin that moves the inline-end edge for `axis: 'x'` and the
+   * bottom edge otherwise.
+   *
+   * @param {number} offset
+   */
+  function getOffsetMargin(offset) {
+    if (currentOptions.axis !== "x") return `0px 0px ${offset}px 0px`;
+    return rtl ? `0px 0px 0px ${offset}px` : `0px ${offset}px 0px 0px`;
+  }
+
+  /** @type {number | undefined} */
+  let progressFrame;
+  let trackingProgress = false;
+  /** @type {number | undefined} */
+  let progress;
+
+  function updateProgress() {
+    progressFrame = undefined;
+    const target = observedTarget ?? element;
+    const offset = Number(currentOptions.offset ?? 0);
+    const { axis } = currentOptions;
+    const bounds = getAxisSpan(getRootBounds(), axis, rtl);
+    const next = calculateScrollProgress(
+      getAxisSpan(target.getBoundingClientRect(), axis, rtl),
+      {
+        top: bounds.top,
+        height: bounds.height + (Number.isFinite(offset) ? offset : 0),
+      },
+    );
+    if (next === progress) return;
+    progress = next;
+    originalProgress ??= captureStyleProperty(element, "--rs-progress");
+    element.style.setProperty("--rs-progress", String(next));
+    seekWebAnimation(next);
+    counter?.seek(next);
+    currentOptions.onProgress?.(next, element);
+  }
+
+  function scheduleProgress() {
+    progressFrame ??= window.requestAnimationFrame(updateProgress);
+  }
+
+  // Scroll and resize are only tracked while the target intersects, so
+  // progress mode costs nothing for elements outside the viewport.
+  function startProgress() {
+    if (trackingProgress) return;
+    trackingProgress = true;
+    window.addEventListener("scroll", scheduleProgress, {
+      capture: true,
+      passive: true,
+    });
+    window.addEventListener("resize", scheduleProgress, { passive: true });
+    updateProgress();
+  }
+
+  function stopProgress() {
+    if (!trackingProgress) return;
+    trackingProgress = false;
+    window.removeEventListener("scroll", scheduleProgress, { capture: true });
+    window.removeEventListener("resize", scheduleProgress);
+    if (progressFrame !== undefined) {
+      window.cancelAnimationFrame?.(progressFrame);
+      progressFrame = undefined;
+    }
+  }
+
+  function restoreProgress() {
+    stopProgress();
+    progress = undefined;
+    if (originalProgress) {
+      restoreStyleProperty(element, "--rs-progress", originalProgress);
+      originalProgress = undefined;
+    }
+  }
+
+  /**
+   * @param {IntersectionObserverEntry[]} entries
+   * @param {IntersectionObserver} [_observer]
+   * @param {readonly IntersectionObserverEntry[]} [batch]
+   */
+  const handleIntersection = (entries, _observer, batch = entries) => {
     const entry = entries[0];
     if (!entry) return;
 
+    // Nothing has scrolled before the first report, so an element already
+    // in view on load enters "down" wherever it sits in the root.
+    direction =
+      direction === undefined
+        ? "down"
+        : getScrollDirection(
+            getAxisSpan(entry.boundingClientRect, currentOptions.axis, rtl),
+            getAxisSpan(
+              entry.rootBounds ?? getRootBounds(),
+              currentOptions.axis,
+              rtl,
+            ),
+            entry.isIntersecting,
+          );
+    element.setAttribute("data-rs-direction", direction);
+    const detail = { direction };
+    intersectionRatio = entry.intersectionRatio;
+
+    // Scrubbed elements follow the scroll position instead of toggling
+    // is-visible; the observer only reports enter/leave and gates tracking.
+    if (isScrubbed(currentOptions)) {
+      isIntersecting = entry.isIntersecting;
+      phase = entry.isIntersecting ? "visible" : "hidden";
+      if (entry.isIntersecting) {
+        if (tracksProgress(currentOptions)) startProgress();
+        else startCounter();
+        currentOptions.onVisible?.(element, detail);
+        emit("enter");
+      } else {
+        if (tracksProgress(currentOptions)) {
+          // Settle on 0 or 1 once the target has left.
+          updateProgress();
+          stopProgress();
+        }
+        currentOptions.onHidden?.(element, detail);
+        emit("leave");
+      }
+      return;
+    }
+
     if (entry.isIntersecting) {
       if (!currentOptions.repeat && hasTriggered) return;
       isIntersecting = true;
+      phase = "visible";
 
+      setStaggerDelay(getStaggerDelay(entry, batch));
       activateWillChange();
-      element.classList.add("is-visible");
-      if (!currentOptions.repeat) {
-        hasTriggered = true;
-        disconnectObserver(managedObserver, state);
+      const next = selectAnimation();
+      if (webAnimation && next !== animation) {
+        animation = next;
+        setAnimationName(animation);
+        syncWebAnimation();
+        setState("is-visible", true);
+        playWebAnimation(true);
+      } else if (exited || next !== animation) {
+        animation = next;
+        jumpToStart();
+      } else {
+        setState("is-visible", true);
+        playWebAnimation(true);
       }
-      currentOptions.onVisible?.(element);
+      startCounter();
+      renewFinished();
+      completeTrigger();
+      currentOptions.onVisible?.(element, detail);
+      emit("enter");
+      // Wait only now, as under reduced motion the reveal completes at once
+      // and must still be reported after the entry. A callback that hid or
+      // destroyed the element leaves nothing to wait for.
+      if (!destroyed && phase === "visible") awaitCompletion();
     } else {
       isIntersecting = false;
       if (!currentOptions.repeat) return;
 
+      setStaggerDelay(0);
       activateWillChange();
-      element.classList.remove("is-visible");
-      currentOptions.onHidden?.(element);
+      cancelReentry();
+      cancelCompletion();
+      setState("is-visible", false);
+      phase = "hidden";
+      if (hasExitAnimation()) {
+        applyExit();
+      } else if (!webAnimation) {
+        // The next entry comes from the edge the element just left, so
+        // leave towards the hidden state of that direction's animation.
+        animation = selectAnimation(direction === "down" ? "up" : "down");
+        setAnimationName(animation);
+      }
+      playWebAnimation(false);
+      counter?.reset();
+      currentOptions.onHidden?.(element, detail);
+      emit("leave");
     }
   };
 
+  // A one-shot element stays revealed once shown, so stop observing it.
+  function completeTrigger() {
+    if (currentOptions.repeat) return;
+    hasTriggered = true;
+    disconnectObserver(managedObserver, state);
+  }
+
+  function show() {
+    if (isScrubbed(currentOptions)) return;
+    if (
+      element.classList.contains("is-visible") &&
+      reentryFrame === undefined
+    ) {
+      return;
+    }
+    activateWillChange();
+    cancelReentry();
+    clearExit();
+    setState("is-visible", true);
+    phase = "visible";
+    playWebAnimation(true);
+    startCounter();
+    awaitCompletion();
+    completeTrigger();
+  }
+
+  function hide() {
+    if (isScrubbed(currentOptions)) return;
+    if (
+      !element.classList.contains("is-visible") &&
+      reentryFrame === undefined
+    ) {
+      return;
+    }
+    setStaggerDelay(0);
+    activateWillChange();
+    cancelReentry();
+    cancelCompletion();
+    setState("is-visible", false);
+    phase = "hidden";
+    if (hasExitAnimation()) applyExit();
+    playWebAnimation(false);
+    counter?.reset();
+  }
+
+  // Put the element in the hidden state of its entry animation at once,
+  // without playing the way back.
+  function rewind() {
+    setStaggerDelay(0);
+    releaseWillChange();
+    cancelCompletion();
+    phase = "pending";
+    animation = selectAnimation();
+    jumpToStart(false);
+    if (webAnimation) syncWebAnimation();
+    counter?.reset();
+  }
+
+  function reset() {
+    hasTriggered = false;
+    isIntersecting = false;
+    direction = undefined;
+    restoreAttribute(element, "data-rs-direction", original.directionAttribute);
+    restoreProgress();
+    rewind();
+    // Also brings back one-shot elements that already triggered.
+    connectObserver();
+  }
+
+  function replay() {
+    if (isScrubbed(currentOptions)) {
+      reset();
+      return;
+    }
+    rewind();
+    activateWillChange();
+    if (webAnimation) {
+      cancelReentry();
+      setState("is-visible", true);
+      playWebAnimation(true);
+    } else {
+      jumpToStart();
+    }
+    phase = "visible";
+    startCounter();
+    awaitCompletion();
+    completeTrigger();
+  }
+
   function connectObserver() {
     disconnectObserver(managedObserver, state);
-    const offset = currentOptions.offset ?? 0;
-    const rootMargin = currentOptions.rootMargin ?? `0px 0px ${offset}px 0px`;
+    if (!isEnabled()) return;
+    rtl = isRightToLeft();
+    const rootMargin =
+      currentOptions.rootMargin ?? getOffsetMargin(currentOptions.offset ?? 0);
     const target = currentOptions.observerTarget ?? element;
     if (target !== element && element.contains(target)) {
       ensurePositioningContext();
@@ -364,27 +1478,119 @@ export function animate(element, options = {}) {
       element.style.position = originalPosition ?? "";
       positionChanged = false;
     }
+    if (observedTarget) staggerTargets.delete(observedTarget);
+    observedTarget = target;
+    if (currentOptions.stagger !== undefined) staggerTargets.add(target);
+    observedRoot = resolveRoot();
     managedObserver = createManagedObserver(target, handleIntersection, {
+      root: observedRoot,
       threshold: currentOptions.threshold ?? 0,
       rootMargin,
     });
     state.isConnected = true;
   }
 
+  /**
+   * Reveal at once while animations are disabled, as a plain element that
+   * no longer follows the scroll.
+   */
+  function revealDisabled() {
+    disconnectObserver(managedObserver, state);
+    restoreProgress();
+    releaseWillChange();
+    setStaggerDelay(0);
+    cancelReentry();
+    clearExit();
+    // Without the scrub attributes the stylesheet shows the revealed state.
+    restoreAttribute(element, "data-rs-state-mode", original.modeAttribute);
+    if (resolveEngine(currentOptions) === "view-timeline") {
+      restoreAttribute(
+        element,
+        "data-rs-state-engine",
+        original.engineAttribute,
+      );
+    }
+    const wasVisible = element.classList.contains("is-visible");
+    element.style.transition = "none";
+    for (const piece of split?.pieces ?? []) piece.style.transition = "none";
+    setState("is-visible", true);
+    webAnimation?.finish();
+    counter?.finish();
+    if (wasVisible) {
+      complete();
+    } else {
+      phase = "visible";
+      awaitCompletion();
+    }
+    reentryFrame = window.requestAnimationFrame(() => {
+      reentryFrame = window.requestAnimationFrame(() => {
+        reentryFrame = undefined;
+        restoreTransitions();
+      });
+    });
+  }
+
+  // Hide the elements that still have to play and observe them again. A
+  // one-shot element that already played stays revealed.
+  function rearm() {
+    syncScrubAttributes();
+    if (hasTriggered && !isContinuous(currentOptions)) return;
+    isIntersecting = false;
+    rewind();
+    connectObserver();
+  }
+
+  syncWebAnimation();
+  syncSplit();
+  syncDrawing();
+  syncCounter();
   connectObserver();
+  const stopListening = onEnabledChange((enabled) => {
+    if (enabled) rearm();
+    else revealDisabled();
+  });
 
-  return {
+  /** @type {import('./types.js').AnimateHandle} */
+  const handle = {
     // Svelte action + reactive contract: the argument is the full new option
     // set. Options that are no longer present revert to their defaults or to
     // the caller-owned value, so a reactive update never retains stale values.
     update(newOptions = {}) {
       if (destroyed) return;
 
+      // A pending cascade belongs to the previous option set.
+      setStaggerDelay(0);
       const previousOptions = currentOptions;
-      currentOptions = snapshotOptions(newOptions);
+      const previousAnimation = animation;
+      currentOptions = snapshotOptions(withDefaults(newOptions));
+      callerOptions = snapshotOptions(newOptions);
 
-      animation = normalizeAnimation(currentOptions.animation);
-      element.setAttribute("data-animation", animation);
+      animation = selectAnimation();
+      setAnimationName(animation);
+      syncVariables();
+      if (exited) {
+        if (hasExitAnimation()) {
+          applyExit();
+        } else {
+          clearExit();
+        }
+      }
+
+      syncScrubAttributes();
+      if (!tracksProgress(currentOptions)) {
+        restoreProgress();
+      } else if (isIntersecting) {
+        startProgress();
+      }
+      if (isScrubbed(currentOptions) && !isScrubbed(previousOptions)) {
+        setState("is-visible", false);
+      } else if (
+        !isScrubbed(currentOptions) &&
+        isScrubbed(previousOptions) &&
+        isIntersecting
+      ) {
+        setState("is-visible", true);
+      }
 
       // Duration and delay are independent options: replacement semantics
       // require each to revert to its caller-owned value when removed, even
@@ -416,26 +1622,56 @@ export function animate(element, options = {}) {
         originalEasing = undefined;
       }
 
+      const webAnimationChanged =
+        animation !== previousAnimation ||
+        currentOptions.engine !== previousOptions.engine ||
+        currentOptions.mode !== previousOptions.mode ||
+        currentOptions.duration !== previousOptions.duration ||
+        currentOptions.delay !== previousOptions.delay ||
+        currentOptions.easing !== previousOptions.easing ||
+        currentOptions.distance !== previousOptions.distance ||
+        currentOptions.scale !== previousOptions.scale ||
+        currentOptions.rotate !== previousOptions.rotate ||
+        currentOptions.perspective !== previousOptions.perspective;
+      if (webAnimationChanged) syncWebAnimation();
+      syncSplit();
+      if (
+        usesDrawAnimation(currentOptions.animation) !==
+          usesDrawAnimation(previousOptions.animation) ||
+        currentOptions.drawStagger !== previousOptions.drawStagger
+      ) {
+        syncDrawing();
+      }
+      syncCounter();
+
       const observerChanged =
         currentOptions.offset !== previousOptions.offset ||
         !thresholdsMatch(currentOptions.threshold, previousOptions.threshold) ||
         currentOptions.rootMargin !== previousOptions.rootMargin ||
+        currentOptions.root !== previousOptions.root ||
+        currentOptions.axis !== previousOptions.axis ||
         currentOptions.observerTarget !== previousOptions.observerTarget;
       const repeatNeedsReconnect =
-        currentOptions.repeat === true &&
-        previousOptions.repeat !== true &&
+        isContinuous(currentOptions) &&
+        !isContinuous(previousOptions) &&
         !state.isConnected;
 
       if (
         (observerChanged || repeatNeedsReconnect) &&
-        (currentOptions.repeat || !hasTriggered)
+        (isContinuous(currentOptions) || !hasTriggered)
       ) {
         connectObserver();
+      } else if (observedTarget) {
+        if (currentOptions.stagger !== undefined) {
+          staggerTargets.add(observedTarget);
+        } else {
+          staggerTargets.delete(observedTarget);
+        }
       }
 
       if (
-        previousOptions.repeat === true &&
-        currentOptions.repeat !== true &&
+        isContinuous(previousOptions) &&
+        !isContinuous(currentOptions) &&
         isIntersecting
       ) {
         hasTriggered = true;
@@ -448,6 +1684,7 @@ export function animate(element, options = {}) {
       } else if (currentOptions.debug) {
         const debugAppearanceChanged =
           currentOptions.offset !== previousOptions.offset ||
+          currentOptions.axis !== previousOptions.axis ||
           currentOptions.sentinelColor !== previousOptions.sentinelColor ||
           currentOptions.debugLabel !== previousOptions.debugLabel ||
           currentOptions.sentinelId !== previousOptions.sentinelId;
@@ -458,16 +1695,65 @@ export function animate(element, options = {}) {
           renderSentinel();
         }
       }
+
+      if (!isEnabled()) revealDisabled();
+    },
+    get animation() {
+      return webAnimation;
+    },
+    get state() {
+      return phase;
+    },
+    get finished() {
+      return finished;
+    },
+    show() {
+      if (!destroyed && isEnabled()) show();
+    },
+    hide() {
+      if (!destroyed && isEnabled()) hide();
+    },
+    reset() {
+      if (!destroyed && isEnabled()) reset();
+    },
+    replay() {
+      if (!destroyed && isEnabled()) replay();
     },
     destroy() {
       if (destroyed) return;
+      // Listeners still see the animated state.
+      emit("destroy");
       destroyed = true;
+      stopListening();
+      liveAnimations.delete(inspect);
       activeElements.delete(element);
+      webAnimation?.cancel();
+      webAnimation = undefined;
+      if (observedTarget) staggerTargets.delete(observedTarget);
       window.cancelAnimationFrame?.(animationFrame);
       if (restoreTransitionFrame !== undefined) {
         window.cancelAnimationFrame?.(restoreTransitionFrame);
       }
       releaseWillChange();
+      cancelCompletion();
+      if (!finishedSettled) {
+        finishedSettled = true;
+        rejectFinished(
+          new DOMException(
+            "The element was destroyed before its reveal finished.",
+            "AbortError",
+          ),
+        );
+      }
+      restoreProgress();
+      cancelReentry();
+      split?.restore();
+      split = undefined;
+      counter?.finish();
+      counter = undefined;
+      drawing?.restore();
+      drawing = undefined;
+      restoreAttribute(element, "data-rs-state-split", original.splitAttribute);
       disconnectObserver(managedObserver, state);
       disableDebug();
       if (positionChanged) {
@@ -489,6 +1775,21 @@ export function animate(element, options = {}) {
       if (!original.hasVisibleClass) {
         element.classList.remove("is-visible");
       }
+      element.classList.remove("is-exited");
+      for (const [property, saved] of originalVariables) {
+        restoreStyleProperty(element, property, saved);
+      }
+      restoreAttribute(element, "data-rs-state-mode", original.modeAttribute);
+      restoreAttribute(
+        element,
+        "data-rs-state-engine",
+        original.engineAttribute,
+      );
+      restoreAttribute(
+        element,
+        "data-rs-direction",
+        original.directionAttribute,
+      );
       if (originalDuration) {
         restoreStyleProperty(element, "--duration", originalDuration);
       }
@@ -503,4 +1804,24 @@ export function animate(element, options = {}) {
       element.style.transition = original.transition;
     },
   };
+
+  function inspect() {
+    return {
+      element,
+      handle,
+      animation,
+      options: snapshotOptions(currentOptions),
+      callerOptions: snapshotOptions(callerOptions),
+      state: phase,
+      hasTriggered,
+      isIntersecting,
+      observer: state.isConnected ? (managedObserver?.observer ?? null) : null,
+    };
+  }
+  liveAnimations.add(inspect);
+
+  // After the handle exists: the reveal completes and emits at once.
+  if (!isEnabled()) revealDisabled();
+
+  return handle;
 }
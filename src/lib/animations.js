@@ -43,6 +43,18 @@ export const ANIMATION_TYPES = [
   // Special (2)
   "slide-rotate",
   "bounce-in",
+  // Filter (3)
+  "blur-in",
+  "blur-up",
+  "focus-in",
+  // Reveal (4) — clip-path
+  "reveal-up",
+  "reveal-left",
+  "reveal-circle",
+  "reveal-diagonal",
+  // Draw (2) — SVG strokes
+  "draw",
+  "draw-reverse",
   // Legacy aliases (v2.x backward compat)
   "fade-in",
   "fade-in-up",
@@ -69,3 +81,81 @@ export function calculateRootMargin(offset, rootMargin) {
       : "-10% 0px -10% 0px")
   );
 }
+
+/**
+ * Calculate the extra delay of one element in a group entering together.
+ *
+ * @param {number} index - Position of the element in the group (0-based)
+ * @param {number} count - Number of elements in the group
+ * @param {number | import('./types.js').StaggerOptions} stagger - Step in milliseconds, or stagger options
+ * @returns {number} Extra delay in milliseconds (0 for a single element)
+ */
+export function calculateStaggerDelay(index, count, stagger) {
+  const {
+    step = 100,
+    max = Infinity,
+    from = "start",
+  } = typeof stagger === "number" ? { step: stagger } : stagger;
+  if (count <= 1 || !Number.isFinite(step) || step <= 0) return 0;
+
+  let distance;
+  if (from === "end") {
+    distance = count - 1 - index;
+  } else if (from === "center") {
+    distance = Math.abs(index - (count - 1) / 2);
+  } else if (typeof from === "number") {
+    distance = Math.abs(index - from);
+  } else {
+    distance = index;
+  }
+  return Math.max(0, Math.min(distance * step, max));
+}
+
+/**
+ * Calculate how far an element has travelled through a viewport or scroll
+ * root: 0 while its leading edge has not entered at the bottom, 0.5 when its
+ * center crosses the middle, 1 once its trailing edge has left at the top.
+ *
+ * @param {{ top: number, height: number }} rect - Element bounding rect
+ * @param {{ top: number, height: number }} bounds - Viewport or root bounds
+ * @returns {number} Progress between 0 and 1
+ */
+export function calculateScrollProgress(rect, bounds) {
+  const distance = bounds.height + rect.height;
+  if (!(distance > 0)) return 0;
+  const progress = (bounds.top + bounds.height - rect.top) / distance;
+  return Math.min(1, Math.max(0, progress));
+}
+
+/**
+ * Infer the scroll direction behind an intersection change from where the
+ * element sits relative to the root: entering below the middle or leaving
+ * above it means the page is scrolling down.
+ *
+ * @param {{ top: number, height: number }} rect - Element bounding rect
+ * @param {{ top: number, height: number }} bounds - Viewport or root bounds
+ * @param {boolean} isIntersecting - Whether the element is entering
+ * @returns {import('./types.js').ScrollDirection}
+ */
+export function getScrollDirection(rect, bounds, isIntersecting) {
+  const isBelow = rect.top + rect.height / 2 > bounds.top + bounds.height / 2;
+  return isBelow === isIntersecting ? "down" : "up";
+}
+
+/**
+ * Project a rect onto the scroll axis as the `{ top, height }` span used by
+ * the geometry helpers. Horizontal spans are mirrored in right-to-left
+ * layouts, so the span always runs from the inline-start edge.
+ *
+ * @param {{ top: number, left: number, width: number, height: number }} rect
+ * @param {'x' | 'y'} [axis='y']
+ * @param {boolean} [rtl=false]
+ * @returns {{ top: number, height: number }}
+ */
+export function getAxisSpan(rect, axis = "y", rtl = false) {
+  if (axis !== "x") return { top: rect.top, height: rect.height };
+  return {
+    top: rtl ? -(rect.left + rect.width) : rect.left,
+    height: rect.width,
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Global defaults for `animate` and everything built on it, and the switch
+ * that turns every animation off.
+ *
+ * Configured values sit under the options of each call: `animate`, the
+ * Svelte action, `animateAll` and `init` merge them in before their own
+ * defaults apply, and `update()` merges them again, so an option removed by a
+ * reactive caller reverts to the configured value.
+ */
+
+/** @type {import('./types.js').GlobalOptions} */
+let defaults = {};
+
+/**
+ * Set the global defaults, replacing the previous ones. `configure({})`
+ * goes back to the library defaults. Elements already animated pick the new
+ * values up on their next `update()`.
+ *
+ * @param {import('./types.js').GlobalOptions} [options]
+ */
+export function configure(options = {}) {
+  defaults = { ...options };
+}
+
+/** @returns {import('./types.js').GlobalOptions} Copy of the global defaults */
+export function getDefaults() {
+  return { ...defaults };
+}
+
+/**
+ * Merge the global defaults under call options. Options set to `undefined`
+ * count as absent, so a reactive caller clearing an option gets the default.
+ *
+ * @param {import('./types.js').AnimateOptions} options
+ * @returns {import('./types.js').AnimateOptions}
+ */
+export function withDefaults(options) {
+  /** @type {Record<string, unknown>} */
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) merged[key] = value;
+  }
+  return /** @type {import('./types.js').AnimateOptions} */ (merged);
+}
+
+let enabled = true;
+/** @type {Set<(enabled: boolean) => void>} */
+const enabledListeners = new Set();
+
+/**
+ * Turn every animation on or off at runtime. Disabling reveals each active
+ * element at once, without transitions, and stops observing it; enabling
+ * hides the elements that have not played yet and observes them again.
+ * Elements animated while disabled start revealed.
+ *
+ * @param {boolean} value
+ */
+export function setEnabled(value) {
+  const next = Boolean(value);
+  if (next === enabled) return;
+  enabled = next;
+  for (const listener of [...enabledListeners]) listener(enabled);
+}
+
+/** @returns {boolean} Whether animations are enabled */
+export function isEnabled() {
+  return enabled;
+}
+
+/**
+ * Listen to `setEnabled` changes.
+ *
+ * @param {(enabled: boolean) => void} listener
+ * @returns {() => void} Removes the listener
+ */
+export function onEnabledChange(listener) {
+  enabledListeners.add(listener);
+  return () => {
+    enabledListeners.delete(listener);
+  };
+}
@@ -0,0 +1,246 @@
+/**
+ * Number counters for the `countUp` option.
+ *
+ * The counter rewrites the text node that holds the number, so markup around
+ * it is kept. The target, decimals and the text around the number are read
+ * from that node unless options override them.
+ */
+
+const NUMBER_PATTERN = /-?\d{1,3}(?:,\d{3})+(?:\.\d+)?|-?\d+(?:\.\d+)?/;
+const DEFAULT_DURATION = 2000;
+
+/**
+ * Find the number in a text such as `"$10,000+"`. Commas are read as
+ * grouping separators only when three digits follow them.
+ *
+ * @param {string} text
+ * @returns {{ value: number, decimals: number, grouped: boolean, prefix: string, suffix: string } | undefined}
+ */
+export function parseCount(text) {
+  const match = NUMBER_PATTERN.exec(text);
+  if (!match) return undefined;
+  const [number] = match;
+  const value = Number(number.replaceAll(",", ""));
+  if (!Number.isFinite(value)) return undefined;
+  return {
+    value,
+    decimals: number.split(".")[1]?.length ?? 0,
+    grouped: number.includes(","),
+    prefix: text.slice(0, match.index),
+    suffix: text.slice(match.index + number.length),
+  };
+}
+
+/**
+ * Timing function of a CSS `cubic-bezier()`.
+ *
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @returns {(t: number) => number}
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+  /** @param {number} t @param {number} a @param {number} b */
+  const sample = (t, a, b) =>
+    ((1 - 3 * b + 3 * a) * t + (3 * b - 6 * a)) * t * t + 3 * a * t;
+  return (x) => {
+    if (x <= 0 || x >= 1) return x <= 0 ? 0 : 1;
+    // Bisect for the curve parameter at x; x(t) is monotonic on [0, 1].
+    let low = 0;
+    let high = 1;
+    let t = x;
+    for (let i = 0; i < 30; i++) {
+      const current = sample(t, x1, x2);
+      if (Math.abs(current - x) < 1e-6) break;
+      if (current < x) low = t;
+      else high = t;
+      t = (low + high) / 2;
+    }
+    return sample(t, y1, y2);
+  };
+}
+
+/** @type {Record<string, (t: number) => number>} */
+const EASINGS = {
+  linear: (t) => t,
+  ease: cubicBezier(0.25, 0.1, 0.25, 1),
+  "ease-in": cubicBezier(0.42, 0, 1, 1),
+  "ease-out": cubicBezier(0, 0, 0.58, 1),
+  "ease-in-out": cubicBezier(0.42, 0, 0.58, 1),
+};
+
+/**
+ * Resolve a CSS keyword, a `cubic-bezier()` string or a function.
+ *
+ * @param {string | ((t: number) => number) | undefined} easing
+ * @returns {(t: number) => number}
+ */
+export function resolveEasing(easing = "ease-out") {
+  if (typeof easing === "function") return easing;
+  if (Object.hasOwn(EASINGS, easing)) return EASINGS[easing];
+  const points = /^cubic-bezier\(([^)]+)\)$/
+    .exec(easing.trim())?.[1]
+    .split(",")
+    .map(Number);
+  if (points?.length === 4 && points.every(Number.isFinite)) {
+    return cubicBezier(points[0], points[1], points[2], points[3]);
+  }
+  if (
+    typeof process !== "undefined" &&
+    process.env?.NODE_ENV !== "production"
+  ) {
+    console.warn(
+      `[rune-scroller] Unsupported countUp easing "${easing}". Falling back to "ease-out".`,
+    );
+  }
+  return EASINGS["ease-out"];
+}
+
+/**
+ * Whether two `countUp` values configure the same counter.
+ *
+ * @param {boolean | import('./types.js').CountUpOptions | undefined} left
+ * @param {boolean | import('./types.js').CountUpOptions | undefined} right
+ */
+export function countUpOptionsMatch(left, right) {
+  if (left === right) return true;
+  if (typeof left !== "object" || typeof right !== "object") return false;
+  const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+  for (const key of keys) {
+    const name = /** @type {keyof import('./types.js').CountUpOptions} */ (key);
+    const a = left[name];
+    const b = right[name];
+    if (a === b) continue;
+    // A locale list is often recreated by reactive callers.
+    if (Array.isArray(a) && Array.isArray(b) && a.join() === b.join()) {
+      continue;
+    }
+    return false;
+  }
+  return true;
+}
+
+/**
+ * @param {HTMLElement} element
+ * @returns {Text | undefined}
+ */
+function findNumberNode(element) {
+  const walker = element.ownerDocument.createTreeWalker(
+    element,
+    4 /* NodeFilter.SHOW_TEXT */,
+  );
+  while (walker.nextNode()) {
+    const node = /** @type {Text} */ (walker.currentNode);
+    if (NUMBER_PATTERN.test(node.data)) return node;
+  }
+  return undefined;
+}
+
+/**
+ * Create a counter for the number of an element.
+ *
+ * Without `to`, the target is read from the element text and the text is put
+ * back verbatim when the count finishes. Returns `undefined` when there is
+ * nothing to count.
+ *
+ * @param {HTMLElement} element
+ * @param {import('./types.js').CountUpOptions} [options]
+ * @returns {import('./types.js').Counter | undefined}
+ */
+export function createCounter(element, options = {}) {
+  let node = findNumberNode(element);
+  const parsed = node ? parseCount(node.data) : undefined;
+  const to = options.to ?? parsed?.value ?? NaN;
+  if (!Number.isFinite(to)) {
+    if (
+      typeof process !== "undefined" &&
+      process.env?.NODE_ENV !== "production"
+    ) {
+      console.warn(
+        "[rune-scroller] countUp found no number in the element text. Pass `to` to set the target.",
+      );
+    }
+    return undefined;
+  }
+  if (!node) {
+    node = element.ownerDocument.createTextNode("");
+    element.appendChild(node);
+  }
+  const text = node;
+
+  const from = options.from ?? 0;
+  const decimals = options.decimals ?? parsed?.decimals ?? 0;
+  const prefix = options.prefix ?? parsed?.prefix ?? "";
+  const suffix = options.suffix ?? parsed?.suffix ?? "";
+  const duration = options.duration ?? DEFAULT_DURATION;
+  const easing = resolveEasing(options.easing);
+  const formatter = new Intl.NumberFormat(options.locale, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+    // Numbers read from the text keep their grouping, so "2024" stays "2024".
+    useGrouping: options.to === undefined ? parsed?.grouped : true,
+  });
+  /** @param {number} value */
+  const format = (value) => `${prefix}${formatter.format(value)}${suffix}`;
+  const finalText = options.to === undefined ? text.data : format(to);
+
+  /** @type {number | undefined} */
+  let timer;
+  /** @type {number | undefined} */
+  let frame;
+
+  function stop() {
+    window.clearTimeout(timer);
+    if (frame !== undefined) window.cancelAnimationFrame?.(frame);
+    timer = undefined;
+    frame = undefined;
+  }
+
+  /** @param {number} progress */
+  function render(progress) {
+    text.data = format(from + (to - from) * progress);
+  }
+
+  function finish() {
+    stop();
+    text.data = finalText;
+  }
+
+  return {
+    start(delay = 0) {
+      stop();
+      if (!(duration > 0)) {
+        finish();
+        return;
+      }
+      timer = window.setTimeout(() => {
+        timer = undefined;
+        /** @type {number | undefined} */
+        let startTime;
+        /** @param {number} now */
+        const step = (now) => {
+          startTime ??= now;
+          const elapsed = (now - startTime) / duration;
+          if (elapsed >= 1) {
+            finish();
+            return;
+          }
+          render(easing(elapsed));
+          frame = window.requestAnimationFrame(step);
+        };
+        frame = window.requestAnimationFrame(step);
+      }, delay);
+    },
+    seek(progress) {
+      stop();
+      if (progress >= 1) text.data = finalText;
+      else render(Math.max(0, progress));
+    },
+    reset() {
+      stop();
+      render(0);
+    },
+    finish,
+  };
+}
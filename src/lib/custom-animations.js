@@ -0,0 +1,193 @@
+/**
+ * Registry of user-defined animations.
+ *
+ * A custom animation describes its hidden state with the same variables the
+ * stylesheet uses (`--tx`, `--ty`, `--scale`, `--rx`, `--ry`, `--rotate`, and
+ * `--blur`, `--grayscale`, `--brightness` for a filter), so it inherits the
+ * visible state, transitions and reduced-motion handling of `animations.css`.
+ * Rules are generated from the definition and injected into one `<style>`
+ * element per document the first time they are needed.
+ */
+
+import { ANIMATION_TYPES } from "./animations.js";
+import {
+  FILTER_VARIABLES,
+  FROM_VARIABLES,
+  hasFilter,
+  toCSSValue,
+} from "./keyframes.js";
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+// Same filter pipeline as the built-in filter family of animations.css.
+const FILTER_DECLARATIONS =
+  "transition-property:opacity,transform,filter;" +
+  "filter:blur(var(--blur,0px)) grayscale(var(--grayscale,0)) brightness(var(--brightness,1))";
+const PROGRESS_FILTER =
+  "filter:blur(calc(var(--blur,0px) * (1 - var(--rs-reveal)))) " +
+  "grayscale(calc(var(--grayscale,0) * (1 - var(--rs-reveal)))) " +
+  "brightness(calc(1 + (var(--brightness,1) - 1) * (1 - var(--rs-reveal))))";
+
+/** @type {Map<string, import('./types.js').AnimationDefinition>} */
+const customAnimations = new Map();
+
+/**
+ * Rules already injected per document, so re-registering a name replaces its
+ * rules instead of stacking them.
+ * @type {WeakMap<Document, Map<string, Text>>}
+ */
+const injectedRules = new WeakMap();
+
+/** @param {string} property */
+function toKebabCase(property) {
+  return property.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * @param {string} name
+ * @param {Keyframe[]} keyframes
+ */
+function createKeyframesCSS(name, keyframes) {
+  const last = Math.max(1, keyframes.length - 1);
+  const frames = keyframes.map((keyframe, index) => {
+    const { offset, easing, ...properties } = keyframe;
+    const percent = Math.round((offset ?? index / last) * 10000) / 100;
+    const declarations = Object.entries(properties)
+      .filter(
+        ([property, value]) =>
+          property !== "composite" && value !== undefined && value !== null,
+      )
+      .map(([property, value]) => `${toKebabCase(property)}:${value}`);
+    if (easing) declarations.push(`animation-timing-function:${easing}`);
+    return `${percent}%{${declarations.join(";")}}`;
+  });
+  return `@keyframes rs-custom-${name}{${frames.join("")}}`;
+}
+
+/**
+ * Generate the stylesheet rules of a custom animation.
+ *
+ * @param {string} name
+ * @param {import('./types.js').AnimationDefinition} definition
+ * @returns {string}
+ */
+export function createAnimationCSS(name, definition) {
+  // The doubled attribute selector outranks the base `opacity: 0` rule
+  // regardless of where the injected <style> lands relative to the stylesheet.
+  const selector = `.scroll-animate[data-animation][data-animation="${name}"]`;
+  const from = definition.from ?? {};
+  const declarations = [];
+  for (const [key, property, unit] of [
+    ...FROM_VARIABLES,
+    ...FILTER_VARIABLES,
+  ]) {
+    const value = from[key];
+    if (value !== undefined) {
+      declarations.push(`${property}:${toCSSValue(value, unit)}`);
+    }
+  }
+  if (from.opacity !== undefined) declarations.push(`opacity:${from.opacity}`);
+  if (hasFilter(from)) declarations.push(FILTER_DECLARATIONS);
+
+  let css = `${selector}{${declarations.join(";")}}`;
+  if (hasFilter(from)) {
+    css +=
+      `${selector}.is-visible{filter:none}` +
+      `${selector}[data-rs-state-mode="progress"]{${PROGRESS_FILTER}}` +
+      `@supports (animation-timeline: view()){${selector}[data-rs-state-engine="view-timeline"]{animation-name:rs-view-filter}}` +
+      `@media (prefers-reduced-motion: reduce){${selector}[data-rs-state-mode="progress"],${selector}[data-rs-state-engine="view-timeline"]{filter:none}}`;
+  }
+  if (definition.keyframes?.length) {
+    css +=
+      createKeyframesCSS(name, definition.keyframes) +
+      `${selector}.is-visible{animation:rs-custom-${name} var(--duration,400ms) var(--easing,ease) var(--delay,0ms) both}` +
+      `@supports (animation-timeline: view()){${selector}[data-rs-state-engine="view-timeline"]{animation-name:rs-custom-${name}}}`;
+  }
+  return css;
+}
+
+/**
+ * Inject (or replace) the rules of a custom animation in a document.
+ *
+ * @param {string} name
+ * @param {Document} [doc]
+ */
+export function ensureAnimationStyles(name, doc = globalThis.document) {
+  const definition = customAnimations.get(name);
+  if (!definition || !doc?.head) return;
+
+  let rules = injectedRules.get(doc);
+  if (!rules) {
+    rules = new Map();
+    injectedRules.set(doc, rules);
+  }
+  if (rules.has(name)) return;
+
+  let style = doc.head.querySelector("style[data-rune-scroller]");
+  if (!style) {
+    style = doc.createElement("style");
+    style.setAttribute("data-rune-scroller", "");
+    doc.head.appendChild(style);
+  }
+  const rule = doc.createTextNode(createAnimationCSS(name, definition));
+  style.appendChild(rule);
+  rules.set(name, rule);
+}
+
+/**
+ * Register a custom animation usable by `animate`, the Svelte action and
+ * declarative markup.
+ *
+ * Re-registering a name replaces its definition. Built-in names cannot be
+ * overridden.
+ *
+ * @param {string} name - Lowercase name such as `'skew-in'`
+ * @param {import('./types.js').AnimationDefinition} definition
+ */
+export function registerAnimation(name, definition) {
+  const isDev =
+    typeof process !== "undefined" && process.env?.NODE_ENV !== "production";
+  if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+    if (isDev) {
+      console.warn(
+        `[rune-scroller] Invalid custom animation name "${String(name)}". Use lowercase letters, digits and dashes.`,
+      );
+    }
+    return;
+  }
+  if (/** @type {readonly string[]} */ (ANIMATION_TYPES).includes(name)) {
+    if (isDev) {
+      console.warn(
+        `[rune-scroller] "${name}" is a built-in animation and cannot be re-registered.`,
+      );
+    }
+    return;
+  }
+
+  customAnimations.set(name, {
+    ...definition,
+    from: { ...definition?.from },
+    keyframes: definition?.keyframes?.map((keyframe) => ({ ...keyframe })),
+  });
+
+  if (typeof document !== "undefined") {
+    const rule = injectedRules.get(document)?.get(name);
+    if (rule) {
+      rule.remove();
+      injectedRules.get(document)?.delete(name);
+    }
+    ensureAnimationStyles(name);
+  }
+}
+
+/**
+ * @param {string} name
+ * @returns {import('./types.js').AnimationDefinition | undefined}
+ */
+export function getCustomAnimation(name) {
+  return customAnimations.get(name);
+}
+
+/** @returns {string[]} Names of every registered custom animation */
+export function getCustomAnimationNames() {
+  return Array.from(customAnimations.keys());
+}
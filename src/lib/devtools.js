@@ -0,0 +1,424 @@
+/**
+ * In-page devtools panel, shipped as `rune-scroller/devtools`.
+ *
+ * The panel lists every live instance from `getActiveAnimations()` with its
+ * state and trigger settings, draws the trigger line of every shared observer
+ * over the page and counts the observers shared by several targets. It is
+ * plain DOM with inline styles and carries no `data-rs` attribute, so it is
+ * never animated and leaves the page under inspection untouched.
+ */
+
+import { getActiveAnimations } from "./animate.js";
+import { getActiveObservers } from "./observer-utils.js";
+
+const REFRESH_INTERVAL = 1000;
+const Z_INDEX = 2147483647;
+const LINE_COLOR = "#ff3d7f";
+const LIFECYCLE_EVENTS = ["rs:enter", "rs:leave", "rs:complete", "rs:destroy"];
+
+/** @type {Record<import('./types.js').AnimationState, string>} */
+const STATE_COLORS = {
+  pending: "#9ca3af",
+  visible: "#4ade80",
+  completed: "#60a5fa",
+  hidden: "#f59e0b",
+};
+
+/** @type {Record<NonNullable<import('./types.js').DevtoolsOptions['position']>, string>} */
+const POSITIONS = {
+  "bottom-right": "bottom:12px;right:12px",
+  "bottom-left": "bottom:12px;left:12px",
+  "top-right": "top:12px;right:12px",
+  "top-left": "top:12px;left:12px",
+};
+
+/** Classes the library adds, left out of element labels. */
+const LIBRARY_CLASSES = new Set(["scroll-animate", "is-visible"]);
+
+/** @type {import('./types.js').DevtoolsHandle | undefined} */
+let mounted;
+
+/**
+ * @param {string} tag
+ * @param {string} [cssText]
+ * @param {string} [text]
+ * @returns {HTMLElement}
+ */
+function create(tag, cssText = "", text = "") {
+  const node = document.createElement(tag);
+  node.style.cssText = cssText;
+  if (text) node.textContent = text;
+  return node;
+}
+
+/**
+ * Short label such as `section#hero.card`, or the `debugLabel` option.
+ *
+ * @param {import('./types.js').AnimationInfo} info
+ * @returns {string}
+ */
+function describeElement({ element, options }) {
+  if (options.debugLabel) return options.debugLabel;
+  let label = element.tagName.toLowerCase();
+  if (element.id) label += `#${element.id}`;
+  const className = [...element.classList].find(
+    (name) => !LIBRARY_CLASSES.has(name),
+  );
+  if (className) label += `.${className}`;
+  return label;
+}
+
+/**
+ * Resolve a `rootMargin` to pixel margins `[top, right, bottom, left]`.
+ * Percentages are relative to the root height for top and bottom and to its
+ * width for right and left, as for `IntersectionObserver`.
+ *
+ * @param {string | undefined} rootMargin
+ * @param {number} width - Root width
+ * @param {number} height - Root height
+ * @returns {[number, number, number, number]}
+ */
+function resolveRootMargin(rootMargin = "0px", width, height) {
+  const [top = "0px", right = top, bottom = top, left = right] = rootMargin
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const margins = [top, right, bottom, left].map((value, index) => {
+    const number = Number.parseFloat(value);
+    if (!Number.isFinite(number)) return 0;
+    if (!value.endsWith("%")) return number;
+    return (number / 100) * (index % 2 ? width : height);
+  });
+  return /** @type {[number, number, number, number]} */ (margins);
+}
+
+/**
+ * Viewport bounds of an observer root; `null` and documents mean the viewport.
+ *
+ * @param {Element | Document | null | undefined} root
+ * @returns {{ top: number, right: number, bottom: number, left: number }}
+ */
+function getRootBounds(root) {
+  if (root && root.nodeType === 1) {
+    const { top, right, bottom, left } = /** @type {Element} */ (
+      root
+    ).getBoundingClientRect();
+    return { top, right, bottom, left };
+  }
+  return {
+    top: 0,
+    right: window.innerWidth,
+    bottom: window.innerHeight,
+    left: 0,
+  };
+}
+
+/**
+ * @param {import('./types.js').AnimateOptions} options
+ * @returns {string}
+ */
+function describeTrigger(options) {
+  const trigger =
+    options.rootMargin !== undefined
+      ? `rootMargin ${options.rootMargin}`
+      : `offset ${options.offset ?? 0}px`;
+  const axis = options.axis === "x" ? " · x axis" : "";
+  const root = options.root ? " · custom root" : "";
+  return `${trigger}${axis}${root}`;
+}
+
+/**
+ * Mount the devtools panel.
+ *
+ * The panel refreshes on `rs:*` lifecycle events and once a second, and its
+ * trigger lines follow scrolling and resizing. "Debug all" turns on the
+ * `debug` sentinel of every animation that does not already show one, through
+ * `update()` with the caller's own options so global defaults keep applying,
+ * and turns them back off when unchecked or when the panel is destroyed. Calling it again while a panel is mounted
+ * returns the mounted panel.
+ *
+ * @param {import('./types.js').DevtoolsOptions} [options]
+ * @returns {import('./types.js').DevtoolsHandle}
+ */
+export function mountDevtools(options = {}) {
+  if (typeof window === "undefined" || typeof document === "undefined") {
+    return {
+      element: null,
+      refresh: () => {},
+      destroy: () => {},
+    };
+  }
+  if (mounted) return mounted;
+
+  const position = POSITIONS[options.position ?? "bottom-right"];
+
+  const panel = create(
+    "div",
+    `position:fixed;${position};z-index:${Z_INDEX};width:340px;max-height:50vh;display:flex;flex-direction:column;box-sizing:border-box;padding:8px;border-radius:6px;background:rgba(17,17,17,0.92);color:#f3f4f6;font:12px/1.4 ui-monospace,SFMono-Regular,Menlo,monospace;box-shadow:0 4px 16px rgba(0,0,0,0.35)`,
+  );
+  panel.setAttribute("data-rs-devtools", "");
+
+  const header = create(
+    "div",
+    "display:flex;align-items:center;gap:8px;margin-bottom:4px",
+  );
+  const title = create("strong", "flex:1", "rune-scroller");
+  const closeButton = create(
+    "button",
+    "all:unset;cursor:pointer;padding:0 4px",
+    "×",
+  );
+  closeButton.setAttribute("aria-label", "Close devtools");
+  header.append(title, closeButton);
+
+  const summary = create("div", "color:#d1d5db;margin-bottom:4px");
+  summary.setAttribute("data-rs-devtools-summary", "");
+
+  const controls = create(
+    "label",
+    "display:flex;align-items:center;gap:6px;margin-bottom:6px;cursor:pointer",
+  );
+  const debugToggle = /** @type {HTMLInputElement} */ (create("input"));
+  debugToggle.type = "checkbox";
+  debugToggle.setAttribute("data-rs-devtools-debug", "");
+  controls.append(debugToggle, "Debug all");
+
+  const list = create("div", "overflow:auto;min-height:0");
+  panel.append(header, summary, controls, list);
+
+  const overlay = create(
+    "div",
+    `position:fixed;inset:0;z-index:${Z_INDEX - 1};pointer-events:none;overflow:hidden`,
+  );
+  overlay.setAttribute("data-rs-devtools-overlay", "");
+  const highlight = create(
+    "div",
+    "position:absolute;display:none;box-sizing:border-box;outline:2px solid #60a5fa;background:rgba(96,165,250,0.2)",
+  );
+  highlight.setAttribute("data-rs-devtools-highlight", "");
+  overlay.append(highlight);
+
+  document.body.append(overlay, panel);
+
+  /** @type {Map<HTMLElement, { row: HTMLElement, label: HTMLElement, badge: HTMLElement, trigger: HTMLElement, info: import('./types.js').AnimationInfo }>} */
+  const rows = new Map();
+  /** @type {HTMLElement[]} */
+  let lines = [];
+  /** @type {Set<import('./types.js').AnimateHandle>} */
+  const debugged = new Set();
+  /** @type {HTMLElement | undefined} */
+  let hovered;
+  /** @type {number | undefined} */
+  let frame;
+  let destroyed = false;
+
+  /** @param {HTMLElement} element */
+  function createRow(element) {
+    const row = create(
+      "div",
+      "display:grid;grid-template-columns:1fr auto auto;gap:2px 6px;align-items:center;padding:4px;border-top:1px solid rgba(255,255,255,0.1);cursor:default",
+    );
+    row.setAttribute("data-rs-devtools-row", "");
+    const label = create(
+      "span",
+      "overflow:hidden;text-overflow:ellipsis;white-space:nowrap",
+    );
+    const badge = create("span", "padding:0 4px;border-radius:3px;color:#111");
+    const replayButton = create(
+      "button",
+      "all:unset;cursor:pointer;padding:0 6px;border:1px solid rgba(255,255,255,0.3);border-radius:3px",
+      "Replay",
+    );
+    replayButton.setAttribute("data-rs-devtools-replay", "");
+    const trigger = create("span", "grid-column:1 / -1;color:#9ca3af");
+    row.append(label, badge, replayButton, trigger);
+
+    replayButton.addEventListener("click", () => {
+      rows.get(element)?.info.handle.replay();
+      scheduleRender();
+    });
+    row.addEventListener("mouseenter", () => {
+      hovered = element;
+      positionHighlight();
+    });
+    row.addEventListener("mouseleave", () => {
+      if (hovered === element) hovered = undefined;
+      positionHighlight();
+    });
+    return { row, label, badge, trigger };
+  }
+
+  function positionHighlight() {
+    if (!hovered || !hovered.isConnected) {
+      highlight.style.display = "none";
+      return;
+    }
+    const rect = hovered.getBoundingClientRect();
+    highlight.style.display = "block";
+    highlight.style.top = `${rect.top}px`;
+    highlight.style.left = `${rect.left}px`;
+    highlight.style.width = `${rect.width}px`;
+    highlight.style.height = `${rect.height}px`;
+  }
+
+  /**
+   * One line per shared observer, on the root edge moved by its margin: the
+   * edge an element crosses to enter, so the line an element's leading edge
+   * must reach to trigger. Lines outside the viewport are pinned to its edge.
+   *
+   * @param {import('./types.js').ObserverInfo[]} observers
+   * @param {import('./types.js').AnimationInfo[]} animations
+   */
+  function renderLines(observers, animations) {
+    for (const line of lines) line.remove();
+    lines = [];
+    for (const { observer, options: observerOptions, targets } of observers) {
+      const bounds = getRootBounds(observerOptions.root);
+      const [, right, bottom, left] = resolveRootMargin(
+        observerOptions.rootMargin,
+        bounds.right - bounds.left,
+        bounds.bottom - bounds.top,
+      );
+      const owner = animations.find((info) => info.observer === observer);
+      const horizontal = owner?.options.axis === "x";
+      // Right-to-left roots move the left edge, the only non-zero side.
+      const fromLeft = horizontal && left !== 0 && right === 0;
+      const extent = horizontal ? window.innerWidth : window.innerHeight;
+      const edge = horizontal
+        ? fromLeft
+          ? bounds.left - left
+          : bounds.right + right
+        : bounds.bottom + bottom;
+      const pinned = Math.min(Math.max(edge, 0), extent - 2);
+
+      const line = create(
+        "div",
+        horizontal
+          ? `position:absolute;top:${bounds.top}px;left:${pinned}px;height:${bounds.bottom - bounds.top}px;border-left:2px dashed ${LINE_COLOR}`
+          : `position:absolute;left:${bounds.left}px;top:${pinned}px;width:${bounds.right - bounds.left}px;border-top:2px dashed ${LINE_COLOR}`,
+      );
+      line.setAttribute("data-rs-devtools-line", "");
+      const count = `${targets.length} target${targets.length === 1 ? "" : "s"}`;
+      const offscreen =
+        pinned !== edge ? ` · ${Math.round(edge - pinned)}px off-screen` : "";
+      const caption = create(
+        "span",
+        `position:absolute;${horizontal ? "top:0;left:2px" : `${pinned < 16 ? "top" : "bottom"}:2px;right:0`};padding:1px 4px;background:${LINE_COLOR};color:#fff;font:10px/1.2 ui-monospace,SFMono-Regular,Menlo,monospace;white-space:nowrap`,
+        `${observerOptions.rootMargin ?? "0px"} · ${count}${offscreen}`,
+      );
+      line.append(caption);
+      overlay.append(line);
+      lines.push(line);
+    }
+  }
+
+  /** @param {import('./types.js').AnimationInfo} info */
+  function applyDebug(info) {
+    if (!debugToggle.checked || info.options.debug) return;
+    info.handle.update({ ...info.callerOptions, debug: true });
+    debugged.add(info.handle);
+  }
+
+  function clearDebug() {
+    const animations = getActiveAnimations();
+    for (const handle of debugged) {
+      const info = animations.find((entry) => entry.handle === handle);
+      if (!info) continue;
+      const options = { ...info.callerOptions };
+      delete options.debug;
+      handle.update(options);
+    }
+    debugged.clear();
+  }
+
+  function render() {
+    frame = undefined;
+    if (destroyed) return;
+    let animations = getActiveAnimations();
+    if (debugToggle.checked) {
+      for (const info of animations) applyDebug(info);
+      animations = getActiveAnimations();
+    }
+    const observers = getActiveObservers();
+    const shared = observers.filter(({ targets }) => targets.length > 1);
+    summary.textContent =
+      `${animations.length} animation${animations.length === 1 ? "" : "s"} · ` +
+      `${observers.length} observer${observers.length === 1 ? "" : "s"} ` +
+      `(${shared.length} shared)`;
+
+    const live = new Set();
+    for (const info of animations) {
+      live.add(info.element);
+      let entry = rows.get(info.element);
+      if (!entry) {
+        entry = { ...createRow(info.element), info };
+        rows.set(info.element, entry);
+      }
+      entry.info = info;
+      entry.label.textContent = `${describeElement(info)} ${info.animation}`;
+      entry.badge.textContent = info.state;
+      entry.badge.style.background = STATE_COLORS[info.state];
+      entry.trigger.textContent = describeTrigger(info.options);
+      // Appending in order also moves rows whose elements were re-ordered.
+      list.append(entry.row);
+    }
+    for (const [element, { row }] of rows) {
+      if (live.has(element)) continue;
+      row.remove();
+      rows.delete(element);
+      if (hovered === element) hovered = undefined;
+    }
+
+    renderLines(observers, animations);
+    positionHighlight();
+  }
+
+  function scheduleRender() {
+    if (destroyed || frame !== undefined) return;
+    frame = window.requestAnimationFrame(render);
+  }
+
+  function onDebugToggle() {
+    if (!debugToggle.checked) clearDebug();
+    render();
+  }
+
+  const interval = window.setInterval(scheduleRender, REFRESH_INTERVAL);
+  for (const type of LIFECYCLE_EVENTS) {
+    document.addEventListener(type, scheduleRender);
+  }
+  // Capture scrolling of any container, since roots can be scroll containers.
+  window.addEventListener("scroll", scheduleRender, {
+    capture: true,
+    passive: true,
+  });
+  window.addEventListener("resize", scheduleRender);
+  debugToggle.addEventListener("change", onDebugToggle);
+  closeButton.addEventListener("click", () => handle.destroy());
+
+  /** @type {import('./types.js').DevtoolsHandle} */
+  const handle = {
+    element: panel,
+    refresh: render,
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      if (frame !== undefined) window.cancelAnimationFrame(frame);
+      window.clearInterval(interval);
+      for (const type of LIFECYCLE_EVENTS) {
+        document.removeEventListener(type, scheduleRender);
+      }
+      window.removeEventListener("scroll", scheduleRender, { capture: true });
+      window.removeEventListener("resize", scheduleRender);
+      clearDebug();
+      panel.remove();
+      overlay.remove();
+      rows.clear();
+      if (mounted === handle) mounted = undefined;
+    },
+  };
+
+  mounted = handle;
+  render();
+  return handle;
+}
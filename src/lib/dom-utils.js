@@ -27,7 +27,7 @@ export function setCSSVariables(element, duration, delay) {
 
 /**
  * @param {HTMLElement} element
- * @param {import('./types.js').AnimationType} animation
+ * @param {import('./types.js').AnimationName} animation
  */
 export function setupAnimationElement(element, animation) {
   element.classList.add("scroll-animate");
@@ -41,6 +41,8 @@ export function setupAnimationElement(element, animation) {
  * @param {string} [sentinelColor='#00e0ff']
  * @param {string} [debugLabel]
  * @param {string} [sentinelId]
+ * @param {'x' | 'y'} [axis='y'] - Scroll axis; `'x'` draws a vertical line
+ * @param {boolean} [rtl=false] - Mirror a horizontal sentinel for right-to-left layouts
  * @returns {{ element: HTMLElement, id: string }}
  */
 export function createSentinel(
@@ -50,13 +52,21 @@ export function createSentinel(
   sentinelColor = "#00e0ff",
   debugLabel = "",
   sentinelId,
+  axis = "y",
+  rtl = false,
 ) {
   const sentinel = document.createElement("div");
   // Use offsetHeight instead of getBoundingClientRect for accurate dimensions
   // getBoundingClientRect returns transformed dimensions (affected by scale, etc)
   // offsetHeight returns actual element height independent of CSS transforms
-  const elementHeight = element.offsetHeight;
-  const sentinelTop = elementHeight - offset;
+  const horizontal = axis === "x";
+  const elementSize = horizontal ? element.offsetWidth : element.offsetHeight;
+  const sentinelStart = elementSize - offset;
+  const thickness = debug ? "3px" : "1px";
+  // Horizontal sentinels measure from the inline-start edge.
+  const position = horizontal
+    ? `top:0;${rtl ? "right" : "left"}:${sentinelStart}px;width:${thickness};height:100%`
+    : `top:${sentinelStart}px;left:0;width:100%;height:${thickness}`;
 
   // Generate auto-ID if not provided
   if (!sentinelId) {
@@ -68,7 +78,7 @@ export function createSentinel(
   sentinel.setAttribute("data-sentinel-id", sentinelId);
 
   if (debug) {
-    sentinel.style.cssText = `position:absolute;top:${sentinelTop}px;left:0;width:100%;height:3px;background:${sentinelColor};margin:0;padding:2px 4px;box-sizing:border-box;z-index:999;pointer-events:none;display:flex;align-items:center;font-size:10px;color:#000;font-weight:bold;white-space:nowrap;overflow:hidden;text-overflow:ellipsis`;
+    sentinel.style.cssText = `position:absolute;${position};background:${sentinelColor};margin:0;padding:${horizontal ? "4px 2px" : "2px 4px"};box-sizing:border-box;z-index:999;pointer-events:none;display:flex;align-items:center;font-size:10px;color:#000;font-weight:bold;white-space:nowrap;overflow:hidden;text-overflow:ellipsis${horizontal ? ";writing-mode:vertical-rl" : ""}`;
     sentinel.setAttribute("data-sentinel-debug", "true");
     // Show ID in debug mode (or debugLabel if provided)
     if (debugLabel) {
@@ -77,12 +87,33 @@ export function createSentinel(
       sentinel.textContent = sentinelId;
     }
   } else {
-    sentinel.style.cssText = `position:absolute;top:${sentinelTop}px;left:0;width:100%;height:1px;visibility:hidden;margin:0;padding:0;box-sizing:border-box;pointer-events:none`;
+    sentinel.style.cssText = `position:absolute;${position};visibility:hidden;margin:0;padding:0;box-sizing:border-box;pointer-events:none`;
   }
 
   return { element: sentinel, id: sentinelId };
 }
 
+/**
+ * Whether the browser runs scroll-driven animations on view timelines.
+ * @returns {boolean}
+ */
+export function supportsViewTimeline() {
+  return (
+    typeof CSS !== "undefined" &&
+    typeof CSS.supports === "function" &&
+    CSS.supports("animation-timeline: view()")
+  );
+}
+
+/**
+ * Whether the element can be played with the Web Animations API.
+ * @param {Element} element
+ * @returns {boolean}
+ */
+export function supportsWebAnimations(element) {
+  return typeof element.animate === "function";
+}
+
 /**
  * Check if CSS animations are loaded and warn if not (dev only)
  * Uses cache to avoid expensive getComputedStyle() on every element creation
@@ -0,0 +1,102 @@
+/**
+ * Stroke drawing for the `draw` animation family.
+ *
+ * Every stroked shape inside the element is measured with `getTotalLength()`
+ * and marked with `data-rs-draw`. The stylesheet turns the measured length
+ * into a dash offset out of view, and draws it back on `is-visible` or along
+ * `--rs-progress`.
+ */
+
+import { calculateStaggerDelay } from "./animations.js";
+
+/** @type {readonly string[]} */
+export const DRAW_ANIMATIONS = ["draw", "draw-reverse"];
+
+const SHAPES = "path, line, polyline, polygon, circle, ellipse, rect";
+const STYLE_PROPERTIES = ["--rs-path-length", "--rs-draw-delay"];
+
+/**
+ * @param {unknown} animation
+ * @returns {boolean}
+ */
+export function isDrawAnimation(animation) {
+  return typeof animation === "string" && DRAW_ANIMATIONS.includes(animation);
+}
+
+/**
+ * @param {Element} shape
+ * @returns {number | undefined}
+ */
+function measure(shape) {
+  const { getTotalLength } = /** @type {Partial<SVGGeometryElement>} */ (shape);
+  if (typeof getTotalLength !== "function") return undefined;
+  try {
+    const length = getTotalLength.call(shape);
+    return Number.isFinite(length) && length > 0 ? length : undefined;
+  } catch {
+    // Some engines throw for shapes that are not rendered.
+    return undefined;
+  }
+}
+
+/**
+ * Measure and mark the shapes of an element for drawing.
+ *
+ * `stagger` offsets the shapes in document order through `--rs-draw-delay`,
+ * added to the element `--delay`. `restore()` removes the marks and puts the
+ * shapes' own values back.
+ *
+ * @param {Element} element
+ * @param {number | import('./types.js').StaggerOptions} [stagger]
+ * @returns {{ shapes: SVGGeometryElement[], restore: () => void }}
+ */
+export function prepareDrawing(element, stagger) {
+  const candidates = [
+    ...(element.matches(SHAPES) ? [element] : []),
+    ...element.querySelectorAll(SHAPES),
+  ];
+  /** @type {Array<{ shape: SVGGeometryElement, length: number }>} */
+  const measured = [];
+  for (const candidate of candidates) {
+    const length = measure(candidate);
+    if (length !== undefined) {
+      measured.push({
+        shape: /** @type {SVGGeometryElement} */ (candidate),
+        length,
+      });
+    }
+  }
+
+  const saved = measured.map(({ shape }) => ({
+    shape,
+    hasAttribute: shape.hasAttribute("data-rs-draw"),
+    styles: STYLE_PROPERTIES.map((property) => ({
+      property,
+      value: shape.style.getPropertyValue(property),
+      priority: shape.style.getPropertyPriority(property),
+    })),
+  }));
+
+  measured.forEach(({ shape, length }, index) => {
+    shape.setAttribute("data-rs-draw", "");
+    // Round up so round line caps do not leave a dot before the reveal.
+    shape.style.setProperty("--rs-path-length", `${Math.ceil(length)}px`);
+    if (stagger !== undefined) {
+      const delay = calculateStaggerDelay(index, measured.length, stagger);
+      shape.style.setProperty("--rs-draw-delay", `${delay}ms`);
+    }
+  });
+
+  return {
+    shapes: measured.map(({ shape }) => shape),
+    restore() {
+      for (const { shape, hasAttribute, styles } of saved) {
+        if (!hasAttribute) shape.removeAttribute("data-rs-draw");
+        for (const { property, value, priority } of styles) {
+          if (value) shape.style.setProperty(property, value, priority);
+          else shape.style.removeProperty(property);
+        }
+      }
+    },
+  };
+}
@@ -2,7 +2,8 @@
  * Rune Scroller — framework-neutral scroll animation core.
  *
  * This entry point is free of any framework runtime. It exposes `animate`, a
- * plain DOM API that works in Vanilla JS and in adapters for any framework.
+ * plain DOM API that works in Vanilla JS and in adapters for any framework,
+ * and `animateAll` for binding a group of elements with one handle.
  * Svelte consumers should import the action and composables from
  * `rune-scroller/svelte`.
  *
@@ -17,9 +18,19 @@
 import { animate } from "./animate.js";
 export default animate;
 export { animate };
+export { animateAll } from "./animate-all.js";
+export { watch } from "./watch.js";
+
+// Declarative `data-rs` markup (opt-in)
+export { init } from "./init.js";
 
 // Utilities
 export { calculateRootMargin, ANIMATION_TYPES } from "./animations.js";
+export { registerAnimation } from "./custom-animations.js";
+export { configure, getDefaults, setEnabled, isEnabled } from "./config.js";
+export { getActiveAnimations } from "./animate.js";
+export { getActiveObservers } from "./observer-utils.js";
+export { splitText } from "./split-text.js";
 
 // Public JSDoc types for TypeScript consumers.
 export * from "./types.js";
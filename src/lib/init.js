@@ -0,0 +1,152 @@
+/**
+ * Declarative auto-initialization for markup-only pages.
+ *
+ * Elements opt in with `data-rs="<animation>"` and optional `data-rs-*`
+ * attributes that map onto `AnimateOptions`. Binding goes through
+ * `animateAll`, so every element is driven by the same `animate` core.
+ * The attributes `animate` writes back live under `data-rs-state-*`, so
+ * `refresh()` only ever reads what the author wrote.
+ */
+
+import { animateAll } from "./animate-all.js";
+
+const SELECTOR = "[data-rs]";
+
+/**
+ * `data-rs-*` attribute → option name and value parser.
+ * @type {Array<[string, keyof import('./types.js').AnimateOptions, "number" | "numbers" | "dimension" | "string" | "boolean"]>}
+ */
+const ATTRIBUTE_OPTIONS = [
+  ["data-rs-duration", "duration", "number"],
+  ["data-rs-delay", "delay", "number"],
+  ["data-rs-stagger", "stagger", "number"],
+  ["data-rs-easing", "easing", "string"],
+  ["data-rs-distance", "distance", "dimension"],
+  ["data-rs-scale", "scale", "number"],
+  ["data-rs-rotate", "rotate", "dimension"],
+  ["data-rs-perspective", "perspective", "dimension"],
+  ["data-rs-split", "split", "string"],
+  ["data-rs-split-stagger", "splitStagger", "number"],
+  ["data-rs-count-up", "countUp", "boolean"],
+  ["data-rs-draw-stagger", "drawStagger", "number"],
+  ["data-rs-offset", "offset", "number"],
+  ["data-rs-axis", "axis", "string"],
+  ["data-rs-threshold", "threshold", "numbers"],
+  ["data-rs-root-margin", "rootMargin", "string"],
+  ["data-rs-root", "root", "string"],
+  ["data-rs-repeat", "repeat", "boolean"],
+  ["data-rs-exit-animation", "exitAnimation", "string"],
+  ["data-rs-exit-duration", "exitDuration", "number"],
+  ["data-rs-exit-delay", "exitDelay", "number"],
+  ["data-rs-exit-easing", "exitEasing", "string"],
+  ["data-rs-mode", "mode", "string"],
+  ["data-rs-engine", "engine", "string"],
+  ["data-rs-debug", "debug", "boolean"],
+  ["data-rs-debug-label", "debugLabel", "string"],
+  ["data-rs-sentinel-color", "sentinelColor", "string"],
+];
+
+/**
+ * @param {string} value
+ * @param {"number" | "numbers" | "dimension" | "string" | "boolean"} type
+ * @returns {unknown}
+ */
+function parseAttribute(value, type) {
+  switch (type) {
+    case "number": {
+      const number = Number(value);
+      return value.trim() !== "" && Number.isFinite(number)
+        ? number
+        : undefined;
+    }
+    case "dimension": {
+      // Bare numbers get the option's default unit; "2rem" is kept as is.
+      const number = Number(value);
+      return value.trim() !== "" && Number.isFinite(number) ? number : value;
+    }
+    case "numbers": {
+      const numbers = value
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map(Number);
+      if (!numbers.length || !numbers.every(Number.isFinite)) return undefined;
+      return numbers.length === 1 ? numbers[0] : numbers;
+    }
+    case "boolean":
+      // Presence enables the flag, so `data-rs-repeat` alone means true.
+      return value !== "false";
+    default:
+      return value;
+  }
+}
+
+/**
+ * Read the `data-rs` and `data-rs-*` attributes of an element as options.
+ *
+ * @param {HTMLElement} element
+ * @returns {import('./types.js').AnimateOptions}
+ */
+export function readAttributeOptions(element) {
+  /** @type {Record<string, unknown>} */
+  const options = {};
+  const animation = element.getAttribute("data-rs");
+  if (animation) options.animation = animation;
+
+  for (const [attribute, option, type] of ATTRIBUTE_OPTIONS) {
+    const value = element.getAttribute(attribute);
+    if (value === null) continue;
+    const parsed = parseAttribute(value, type);
+    if (parsed !== undefined) options[option] = parsed;
+  }
+  return /** @type {import('./types.js').AnimateOptions} */ (options);
+}
+
+/**
+ * Animate every `[data-rs]` element in a scope.
+ *
+ * Option values passed to `init` act as defaults under the per-element
+ * attributes. Call `refresh()` after client-side navigation or markup changes
+ * and `destroy()` to release every element.
+ *
+ * @param {import('./types.js').InitOptions} [options]
+ * @returns {import('./types.js').InitHandle}
+ */
+export function init(options = {}) {
+  const { scope, ...defaults } = options;
+  const root =
+    scope ?? (typeof document !== "undefined" ? document : undefined);
+  if (!root) {
+    return {
+      elements: [],
+      refresh: () => {},
+      destroy: () => {},
+    };
+  }
+
+  /** @type {import('./types.js').AnimateAllOptions} */
+  const groupOptions = { ...defaults, perElement: readAttributeOptions };
+  const group = animateAll(root.querySelectorAll(SELECTOR), groupOptions);
+  let destroyed = false;
+
+  return {
+    get elements() {
+      return group.elements;
+    },
+    refresh() {
+      if (destroyed) return;
+      const found = new Set(root.querySelectorAll(SELECTOR));
+      for (const element of group.elements) {
+        if (!found.has(element)) group.remove(element);
+      }
+      // Re-read attributes of the remaining elements before binding new ones.
+      group.update(groupOptions);
+      group.add(found);
+    },
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      group.destroy();
+    },
+  };
+}
@@ -0,0 +1,270 @@
+/**
+ * Animation definitions as Web Animations keyframes.
+ *
+ * Built-in definitions mirror the rules of `animations.css`, so the
+ * `'waapi'` engine plays the same animations without the stylesheet. Custom
+ * animations added with `registerAnimation` share the same shape.
+ */
+
+const DISTANCE = "var(--rs-distance)";
+const NEGATIVE_DISTANCE = "calc(-1 * var(--rs-distance))";
+const DEFAULT_DISTANCE = "100px";
+const PERSPECTIVE = "var(--rs-perspective, 2500px)";
+const DEFAULT_PERSPECTIVE = "2500px";
+
+/**
+ * Definition of a built-in animation. `easing` replaces the `easing` option
+ * for animations whose stylesheet rule ignores it.
+ * @typedef {import('./types.js').AnimationDefinition & { easing?: string }} BuiltInDefinition
+ */
+
+/**
+ * `from` key → CSS custom property and unit applied to bare numbers.
+ * @type {Array<[keyof import('./types.js').AnimationFrom, string, string]>}
+ */
+export const FROM_VARIABLES = [
+  ["tx", "--tx", "px"],
+  ["ty", "--ty", "px"],
+  ["scale", "--scale", ""],
+  ["rx", "--rx", "deg"],
+  ["ry", "--ry", "deg"],
+  ["rotate", "--rotate", "deg"],
+];
+
+/**
+ * `from` keys driving the `filter` of the hidden state. Elements only get a
+ * filter when one of them is set, since any filter creates a stacking context.
+ * @type {Array<[keyof import('./types.js').AnimationFrom, string, string]>}
+ */
+export const FILTER_VARIABLES = [
+  ["blur", "--blur", "px"],
+  ["grayscale", "--grayscale", ""],
+  ["brightness", "--brightness", ""],
+];
+
+/**
+ * @param {import('./types.js').AnimationFrom | undefined} from
+ * @returns {boolean}
+ */
+export function hasFilter(from) {
+  return FILTER_VARIABLES.some(([key]) => from?.[key] !== undefined);
+}
+
+/**
+ * @param {string | number} value
+ * @param {string} unit
+ * @returns {string}
+ */
+export function toCSSValue(value, unit) {
+  return typeof value === "number" ? `${value}${unit}` : value;
+}
+
+/**
+ * @param {string} transform
+ * @returns {Keyframe[]}
+ */
+function slide(transform) {
+  return [
+    { opacity: 1, transform },
+    { opacity: 1, transform: "translate3d(0, 0, 0)" },
+  ];
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {Keyframe[]}
+ */
+function flip(from, to) {
+  return [
+    { opacity: 1, backfaceVisibility: "hidden", transform: from },
+    { opacity: 1, backfaceVisibility: "hidden", transform: to },
+  ];
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {Keyframe[]}
+ */
+function reveal(from, to) {
+  return [
+    { opacity: 1, clipPath: from },
+    { opacity: 1, clipPath: to },
+  ];
+}
+
+/**
+ * The draw family animates SVG strokes through the stylesheet, so it has no
+ * element keyframes.
+ * @type {Record<Exclude<import('./types.js').AnimationType, 'draw' | 'draw-reverse'>, BuiltInDefinition>}
+ */
+const BUILT_IN_DEFINITIONS = {
+  // Fade
+  fade: { from: { tx: "0px", ty: "0px" } },
+  "fade-up": { from: { ty: DISTANCE } },
+  "fade-down": { from: { ty: NEGATIVE_DISTANCE } },
+  "fade-left": { from: { tx: NEGATIVE_DISTANCE } },
+  "fade-right": { from: { tx: DISTANCE } },
+  "fade-up-right": { from: { tx: DISTANCE, ty: DISTANCE } },
+  "fade-up-left": { from: { tx: NEGATIVE_DISTANCE, ty: DISTANCE } },
+  "fade-down-right": { from: { tx: DISTANCE, ty: NEGATIVE_DISTANCE } },
+  "fade-down-left": { from: { tx: NEGATIVE_DISTANCE, ty: NEGATIVE_DISTANCE } },
+  // Zoom
+  "zoom-in": { from: { scale: 0.6 } },
+  "zoom-in-up": { from: { scale: 0.6, ty: DISTANCE } },
+  "zoom-in-down": { from: { scale: 0.6, ty: NEGATIVE_DISTANCE } },
+  "zoom-in-left": { from: { scale: 0.6, tx: NEGATIVE_DISTANCE } },
+  "zoom-in-right": { from: { scale: 0.6, tx: DISTANCE } },
+  "zoom-out": { from: { scale: 1.2 } },
+  "zoom-out-up": { from: { scale: 1.2, ty: DISTANCE } },
+  "zoom-out-down": { from: { scale: 1.2, ty: NEGATIVE_DISTANCE } },
+  "zoom-out-left": { from: { scale: 1.2, tx: NEGATIVE_DISTANCE } },
+  "zoom-out-right": { from: { scale: 1.2, tx: DISTANCE } },
+  // Slide
+  "slide-up": { keyframes: slide("translate3d(0, 100%, 0)") },
+  "slide-down": { keyframes: slide("translate3d(0, -100%, 0)") },
+  "slide-left": { keyframes: slide("translate3d(100%, 0, 0)") },
+  "slide-right": { keyframes: slide("translate3d(-100%, 0, 0)") },
+  // Flip
+  "flip-left": {
+    keyframes: flip(
+      `perspective(${PERSPECTIVE}) rotateY(-100deg)`,
+      `perspective(${PERSPECTIVE}) rotateY(0)`,
+    ),
+  },
+  "flip-right": {
+    keyframes: flip(
+      `perspective(${PERSPECTIVE}) rotateY(100deg)`,
+      `perspective(${PERSPECTIVE}) rotateY(0)`,
+    ),
+  },
+  "flip-up": {
+    keyframes: flip(
+      `perspective(${PERSPECTIVE}) rotateX(-100deg)`,
+      `perspective(${PERSPECTIVE}) rotateX(0)`,
+    ),
+  },
+  "flip-down": {
+    keyframes: flip(
+      `perspective(${PERSPECTIVE}) rotateX(100deg)`,
+      `perspective(${PERSPECTIVE}) rotateX(0)`,
+    ),
+  },
+  // Special
+  "slide-rotate": { from: { tx: NEGATIVE_DISTANCE, rotate: "-45deg" } },
+  "bounce-in": {
+    easing: "cubic-bezier(0.68, -0.55, 0.265, 1.55)",
+    keyframes: [
+      { opacity: 0, transform: "scale(0)" },
+      { offset: 0.5, opacity: 1, transform: "scale(1.1)" },
+      { opacity: 1, transform: "scale(1)" },
+    ],
+  },
+  // Filter
+  "blur-in": { from: { blur: "12px" } },
+  "blur-up": { from: { blur: "12px", ty: DISTANCE } },
+  "focus-in": { from: { blur: "8px", grayscale: 1, brightness: 1.2 } },
+  // Reveal
+  "reveal-up": { keyframes: reveal("inset(100% 0 0 0)", "inset(0 0 0 0)") },
+  "reveal-left": { keyframes: reveal("inset(0 100% 0 0)", "inset(0 0 0 0)") },
+  "reveal-circle": {
+    keyframes: reveal("circle(0% at 50% 50%)", "circle(75% at 50% 50%)"),
+  },
+  "reveal-diagonal": {
+    keyframes: reveal("polygon(0 0, 0 0, 0 0)", "polygon(0 0, 200% 0, 0 200%)"),
+  },
+  // Legacy aliases
+  "fade-in": { from: { tx: "0px", ty: "0px" } },
+  "fade-in-up": { from: { ty: DISTANCE } },
+  "fade-in-down": { from: { ty: NEGATIVE_DISTANCE } },
+  "fade-in-left": { from: { tx: NEGATIVE_DISTANCE } },
+  "fade-in-right": { from: { tx: DISTANCE } },
+  flip: { from: { ry: "90deg" } },
+  "flip-x": { from: { rx: "90deg" } },
+};
+
+/**
+ * @param {string} name
+ * @returns {BuiltInDefinition | undefined}
+ */
+export function getBuiltInDefinition(name) {
+  return Object.hasOwn(BUILT_IN_DEFINITIONS, name)
+    ? BUILT_IN_DEFINITIONS[/** @type {keyof BUILT_IN_DEFINITIONS} */ (name)]
+    : undefined;
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} distance
+ * @param {string} perspective
+ * @returns {unknown}
+ */
+function resolveVariables(value, distance, perspective) {
+  return typeof value === "string"
+    ? value.replaceAll(DISTANCE, distance).replaceAll(PERSPECTIVE, perspective)
+    : value;
+}
+
+/**
+ * Build the keyframes of an animation definition, from hidden to visible.
+ *
+ * `var(--rs-distance)` and `var(--rs-perspective)` are replaced with their
+ * resolved values, since keyframes are played without the stylesheet that
+ * defines the variables.
+ *
+ * @param {import('./types.js').AnimationDefinition} definition
+ * @param {string} [distance='100px'] - Resolved `--rs-distance`
+ * @param {string} [perspective='2500px'] - Resolved `--rs-perspective`
+ * @returns {Keyframe[]}
+ */
+export function createKeyframes(
+  definition,
+  distance = DEFAULT_DISTANCE,
+  perspective = DEFAULT_PERSPECTIVE,
+) {
+  if (definition.keyframes?.length) {
+    return definition.keyframes.map((keyframe) => {
+      /** @type {Record<string, unknown>} */
+      const resolved = {};
+      for (const [property, value] of Object.entries(keyframe)) {
+        resolved[property] = resolveVariables(value, distance, perspective);
+      }
+      return /** @type {Keyframe} */ (resolved);
+    });
+  }
+
+  const from = definition.from ?? {};
+  /** @type {Record<string, string>} */
+  const values = {};
+  for (const [key, , unit] of [...FROM_VARIABLES, ...FILTER_VARIABLES]) {
+    const value = from[key];
+    if (value !== undefined) {
+      values[key] = String(
+        resolveVariables(toCSSValue(value, unit), distance, perspective),
+      );
+    }
+  }
+  /** @type {Keyframe[]} */
+  const keyframes = [
+    {
+      opacity: from.opacity ?? 0,
+      transform:
+        `translate3d(${values.tx ?? "0"}, ${values.ty ?? "0"}, 0) ` +
+        `scale(${values.scale ?? "1"}) rotateX(${values.rx ?? "0deg"}) ` +
+        `rotateY(${values.ry ?? "0deg"}) rotate(${values.rotate ?? "0deg"})`,
+    },
+    {
+      opacity: 1,
+      transform:
+        "translate3d(0, 0, 0) scale(1) rotateX(0deg) rotateY(0deg) rotate(0deg)",
+    },
+  ];
+  if (hasFilter(from)) {
+    keyframes[0].filter =
+      `blur(${values.blur ?? "0px"}) grayscale(${values.grayscale ?? "0"}) ` +
+      `brightness(${values.brightness ?? "1"})`;
+    keyframes[1].filter = "blur(0px) grayscale(0) brightness(1)";
+  }
+  return keyframes;
+}
@@ -7,7 +7,19 @@
  * destroyed.
  */
 
-/** @type {Array<{ ObserverConstructor: typeof IntersectionObserver, observer: IntersectionObserver, options: IntersectionObserverInit, subscribers: Map<Element, Set<IntersectionObserverCallback>> }>} */
+/**
+ * Subscription callback. Receives the entry for its own target plus the whole
+ * batch delivered by the shared observer in the same callback, so subscribers
+ * can coordinate with targets that changed state at the same time.
+ *
+ * @callback ManagedObserverCallback
+ * @param {IntersectionObserverEntry[]} entries
+ * @param {IntersectionObserver} observer
+ * @param {readonly IntersectionObserverEntry[]} batch
+ * @returns {void}
+ */
+
+/** @type {Array<{ ObserverConstructor: typeof IntersectionObserver, observer: IntersectionObserver, options: IntersectionObserverInit, subscribers: Map<Element, Set<ManagedObserverCallback>> }>} */
 const observerRegistry = [];
 
 /**
@@ -60,7 +72,7 @@ function getRegistryEntry(options) {
   );
   if (existing) return existing;
 
-  /** @type {{ ObserverConstructor: typeof IntersectionObserver, observer: IntersectionObserver, options: IntersectionObserverInit, subscribers: Map<Element, Set<IntersectionObserverCallback>> } | undefined} */
+  /** @type {{ ObserverConstructor: typeof IntersectionObserver, observer: IntersectionObserver, options: IntersectionObserverInit, subscribers: Map<Element, Set<ManagedObserverCallback>> } | undefined} */
   let entry;
   const observer = new IntersectionObserver((entries, activeObserver) => {
     for (const intersectionEntry of entries) {
@@ -68,7 +80,7 @@ function getRegistryEntry(options) {
       if (!callbacks) continue;
       for (const callback of callbacks) {
         try {
-          callback([intersectionEntry], activeObserver);
+          callback([intersectionEntry], activeObserver, entries);
         } catch (error) {
           console.error("[rune-scroller] Observer callback failed", error);
         }
@@ -93,6 +105,20 @@ function getRegistryEntry(options) {
   return entry;
 }
 
+/**
+ * Snapshot of the shared observers and the targets each one observes, for
+ * inspection only.
+ *
+ * @returns {import('./types.js').ObserverInfo[]}
+ */
+export function getActiveObservers() {
+  return observerRegistry.map((entry) => ({
+    observer: entry.observer,
+    options: snapshotOptions(entry.options),
+    targets: Array.from(entry.subscribers.keys()),
+  }));
+}
+
 /**
  * @typedef {{ observer: IntersectionObserver, isConnected: boolean, release: () => void }} ManagedObserver
  */
@@ -101,7 +127,7 @@ function getRegistryEntry(options) {
  * Observe a target with a shared observer.
  *
  * @param {HTMLElement} target
- * @param {IntersectionObserverCallback} callback
+ * @param {ManagedObserverCallback} callback
  * @param {IntersectionObserverInit} options
  * @returns {ManagedObserver}
  */
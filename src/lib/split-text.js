@@ -0,0 +1,134 @@
+/**
+ * Split the text of an element into animatable pieces.
+ *
+ * Every text node is replaced in place by `rs-word` (and `rs-char`) spans, so
+ * inline markup such as links and emphasis is kept around its pieces. The
+ * pieces are hidden from assistive technology; each split text node is
+ * preceded by a visually hidden copy of its text, so screen readers read the
+ * text where it stood and links keep their accessible name. `restore()` puts
+ * the original text nodes back. Text inside debug sentinels is left alone.
+ */
+
+/** Visually hidden but still read, without relying on the stylesheet. */
+const SCREEN_READER_ONLY =
+  "position:absolute;width:1px;height:1px;margin:-1px;padding:0;border:0;overflow:hidden;clip:rect(0 0 0 0);clip-path:inset(50%);white-space:nowrap";
+
+/**
+ * @param {Document} doc
+ * @param {string} className
+ * @param {string} text
+ */
+function createPiece(doc, className, text) {
+  const piece = doc.createElement("span");
+  piece.className = className;
+  piece.textContent = text;
+  return piece;
+}
+
+/**
+ * @param {Document} doc
+ * @param {string} word
+ * @param {'chars' | 'words' | 'lines'} by
+ * @param {HTMLElement[][]} groups
+ */
+function createWord(doc, word, by, groups) {
+  if (by !== "chars") {
+    const piece = createPiece(doc, "rs-word", word);
+    piece.setAttribute("aria-hidden", "true");
+    groups.push([piece]);
+    return piece;
+  }
+  const wrapper = doc.createElement("span");
+  wrapper.className = "rs-word";
+  wrapper.setAttribute("aria-hidden", "true");
+  // Spread to split by code point, so surrogate pairs stay together.
+  for (const char of word) {
+    const piece = createPiece(doc, "rs-char", char);
+    wrapper.appendChild(piece);
+    groups.push([piece]);
+  }
+  return wrapper;
+}
+
+/**
+ * Group word pieces by rendered line, using their offset from the top.
+ *
+ * @param {HTMLElement[][]} groups
+ * @returns {HTMLElement[][]}
+ */
+function groupByLine(groups) {
+  /** @type {HTMLElement[][]} */
+  const lines = [];
+  let lineTop = -Infinity;
+  for (const [piece] of groups) {
+    if (piece.offsetTop > lineTop) {
+      lineTop = piece.offsetTop;
+      lines.push([]);
+    }
+    lines[lines.length - 1].push(piece);
+  }
+  return lines;
+}
+
+/**
+ * Split the text of an element into words, characters or lines.
+ *
+ * `groups` lists the units to stagger, in reading order: one piece per group
+ * for `'chars'` and `'words'`, and the words of each rendered line for
+ * `'lines'` (measured once, when splitting).
+ *
+ * @param {HTMLElement} element
+ * @param {'chars' | 'words' | 'lines'} by
+ * @returns {import('./types.js').SplitTextResult}
+ */
+export function splitText(element, by) {
+  const doc = element.ownerDocument;
+
+  /** @type {Text[]} */
+  const textNodes = [];
+  const walker = doc.createTreeWalker(element, 4 /* NodeFilter.SHOW_TEXT */);
+  while (walker.nextNode()) {
+    const node = /** @type {Text} */ (walker.currentNode);
+    if (node.parentElement?.closest("[data-sentinel-id]")) continue;
+    if (node.data.trim()) textNodes.push(node);
+  }
+
+  /** @type {HTMLElement[][]} */
+  let groups = [];
+  /** @type {Array<{ text: Text, nodes: Node[] }>} */
+  const replaced = [];
+  for (const text of textNodes) {
+    const readable = createPiece(doc, "rs-sr", text.data);
+    readable.style.cssText = SCREEN_READER_ONLY;
+    /** @type {Node[]} */
+    const nodes = [readable];
+    // Whitespace runs stay plain text so lines still wrap between words.
+    for (const part of text.data.split(/(\s+)/)) {
+      if (!part) continue;
+      nodes.push(
+        /\s/.test(part[0])
+          ? doc.createTextNode(part)
+          : createWord(doc, part, by, groups),
+      );
+    }
+    for (const node of nodes) text.parentNode?.insertBefore(node, text);
+    text.remove();
+    replaced.push({ text, nodes });
+  }
+
+  if (by === "lines") groups = groupByLine(groups);
+
+  let restored = false;
+  return {
+    pieces: groups.flat(),
+    groups,
+    restore() {
+      if (restored) return;
+      restored = true;
+      for (const { text, nodes } of replaced) {
+        nodes[0]?.parentNode?.insertBefore(text, nodes[0]);
+        for (const node of nodes) node.parentNode?.removeChild(node);
+      }
+    },
+  };
+}
@@ -28,6 +28,11 @@ export {
 
 // Utilities
 export { calculateRootMargin, ANIMATION_TYPES } from "./animations.js";
+export { registerAnimation } from "./custom-animations.js";
+export { configure, getDefaults, setEnabled, isEnabled } from "./config.js";
+export { getActiveAnimations } from "./animate.js";
+export { getActiveObservers } from "./observer-utils.js";
+export { splitText } from "./split-text.js";
 
 // Public JSDoc types for TypeScript consumers.
 export * from "./types.js";
@@ -4,27 +4,186 @@
 
 /**
  * Animation type names (primary names plus v2.x legacy aliases)
- * @typedef {'fade' | 'fade-up' | 'fade-down' | 'fade-left' | 'fade-right' | 'fade-up-right' | 'fade-up-left' | 'fade-down-right' | 'fade-down-left' | 'zoom-in' | 'zoom-in-up' | 'zoom-in-down' | 'zoom-in-left' | 'zoom-in-right' | 'zoom-out' | 'zoom-out-up' | 'zoom-out-down' | 'zoom-out-left' | 'zoom-out-right' | 'slide-up' | 'slide-down' | 'slide-left' | 'slide-right' | 'flip-left' | 'flip-right' | 'flip-up' | 'flip-down' | 'slide-rotate' | 'bounce-in' | 'fade-in' | 'fade-in-up' | 'fade-in-down' | 'fade-in-left' | 'fade-in-right' | 'flip' | 'flip-x'} AnimationType
+ * @typedef {'fade' | 'fade-up' | 'fade-down' | 'fade-left' | 'fade-right' | 'fade-up-right' | 'fade-up-left' | 'fade-down-right' | 'fade-down-left' | 'zoom-in' | 'zoom-in-up' | 'zoom-in-down' | 'zoom-in-left' | 'zoom-in-right' | 'zoom-out' | 'zoom-out-up' | 'zoom-out-down' | 'zoom-out-left' | 'zoom-out-right' | 'slide-up' | 'slide-down' | 'slide-left' | 'slide-right' | 'flip-left' | 'flip-right' | 'flip-up' | 'flip-down' | 'slide-rotate' | 'bounce-in' | 'blur-in' | 'blur-up' | 'focus-in' | 'reveal-up' | 'reveal-left' | 'reveal-circle' | 'reveal-diagonal' | 'draw' | 'draw-reverse' | 'fade-in' | 'fade-in-up' | 'fade-in-down' | 'fade-in-left' | 'fade-in-right' | 'flip' | 'flip-x'} AnimationType
+ */
+
+/**
+ * Animation name accepted by the options: a built-in `AnimationType` or the
+ * name of an animation added with `registerAnimation`.
+ * @typedef {AnimationType | (string & {})} AnimationName
+ */
+
+/**
+ * Scroll direction inferred when an element enters or leaves: `'down'` on the
+ * first report and when it enters at the bottom edge or leaves at the top edge.
+ * @typedef {'up' | 'down'} ScrollDirection
+ */
+
+/**
+ * Per-direction animation names. A missing direction uses the other one.
+ * @typedef {Object} DirectionalAnimation
+ * @property {AnimationName} [down] - Played when entering while scrolling down (and on first load)
+ * @property {AnimationName} [up] - Played when entering while scrolling up
+ */
+
+/**
+ * Details passed to `onVisible` and `onHidden`.
+ * @typedef {Object} IntersectionDetail
+ * @property {ScrollDirection} direction - Scroll direction behind the change
+ */
+
+/**
+ * `detail` of the `rs:enter`, `rs:leave`, `rs:complete` and `rs:destroy`
+ * events dispatched on animated elements.
+ * @typedef {Object} LifecycleDetail
+ * @property {string} animation - Current animation name
+ * @property {ScrollDirection} [direction] - Direction of the last intersection change, if any
+ * @property {number} intersectionRatio - Ratio reported by the last intersection change; 0 before the first
+ * @property {AnimateHandle} handle - Handle of the element
+ */
+
+/**
+ * Hidden state of a custom animation, expressed with the stylesheet
+ * variables. Bare numbers get a default unit: `px` for `tx` / `ty` / `blur`,
+ * `deg` for `rx` / `ry` / `rotate`.
+ * @typedef {Object} AnimationFrom
+ * @property {number | string} [tx] - Horizontal offset (`--tx`)
+ * @property {number | string} [ty] - Vertical offset (`--ty`)
+ * @property {number | string} [scale] - Scale factor (`--scale`)
+ * @property {number | string} [rx] - X-axis rotation (`--rx`)
+ * @property {number | string} [ry] - Y-axis rotation (`--ry`)
+ * @property {number | string} [rotate] - Z-axis rotation (`--rotate`)
+ * @property {number | string} [blur] - Blur radius (`--blur`)
+ * @property {number | string} [grayscale] - Grayscale amount, 0–1 (`--grayscale`)
+ * @property {number | string} [brightness] - Brightness factor (`--brightness`)
+ * @property {number} [opacity=0] - Starting opacity
+ */
+
+/**
+ * Definition passed to `registerAnimation`.
+ * @typedef {Object} AnimationDefinition
+ * @property {AnimationFrom} [from] - Hidden state, transitioned to the visible state on `is-visible`
+ * @property {Keyframe[]} [keyframes] - Optional Web Animations-style keyframes played on `is-visible` instead of the transition
+ */
+
+/**
+ * Stagger configuration for elements that enter the viewport in the same
+ * IntersectionObserver batch.
+ * @typedef {Object} StaggerOptions
+ * @property {number} [step=100] - Delay added per position in milliseconds
+ * @property {number} [max] - Maximum extra delay in milliseconds
+ * @property {'start' | 'end' | 'center' | number} [from='start'] - Where the cascade starts: an edge, the center, or an index in the batch
+ */
+
+/**
+ * How text is split into animated pieces.
+ * @typedef {'chars' | 'words' | 'lines'} SplitType
+ */
+
+/**
+ * Result of `splitText`.
+ * @typedef {Object} SplitTextResult
+ * @property {HTMLElement[]} pieces - Every piece, in reading order
+ * @property {HTMLElement[][]} groups - Units to stagger: one piece each for chars and words, the words of each line for lines
+ * @property {() => void} restore - Put the original text nodes back
+ */
+
+/**
+ * Options of the `countUp` number counter.
+ * @typedef {Object} CountUpOptions
+ * @property {number} [to] - Target value; default: the number in the element text
+ * @property {number} [from=0] - Value shown until the element is revealed
+ * @property {number} [duration=2000] - Count duration in milliseconds
+ * @property {string | ((t: number) => number)} [easing='ease-out'] - CSS keyword, `cubic-bezier()` or a function of 0–1 progress
+ * @property {string | string[]} [locale] - `Intl.NumberFormat` locale; default: the runtime locale
+ * @property {string} [prefix] - Text before the number; default: the text before it in the element
+ * @property {string} [suffix] - Text after the number; default: the text after it in the element
+ * @property {number} [decimals] - Fraction digits; default: those of the number in the element text
+ */
+
+/**
+ * Counter created by `countUp`.
+ * @typedef {Object} Counter
+ * @property {(delay?: number) => void} start - Count from `from` to the target after `delay` milliseconds
+ * @property {(progress: number) => void} seek - Show the value at a linear 0–1 progress
+ * @property {() => void} reset - Stop and show `from`
+ * @property {() => void} finish - Stop and show the final text
  */
 
 /**
  * Options for the framework-neutral `animate` core and the Svelte action.
  * @typedef {Object} AnimateOptions
- * @property {AnimationType} [animation='fade-in'] - Animation type to apply
+ * @property {AnimationName | DirectionalAnimation} [animation='fade-in'] - Animation type to apply (built-in or registered with `registerAnimation`), or one per scroll direction
  * @property {number} [duration=400] - Animation duration in milliseconds
  * @property {boolean} [repeat=false] - Repeat animation on every scroll
+ * @property {AnimationName} [exitAnimation] - Repeat mode: animation played when the element leaves instead of reversing the entry
+ * @property {number} [exitDuration] - Exit duration in milliseconds (defaults to `duration`)
+ * @property {number} [exitDelay=0] - Exit delay in milliseconds
+ * @property {string} [exitEasing] - Exit CSS timing function (defaults to `easing`)
+ * @property {'css' | 'view-timeline' | 'waapi'} [engine='css'] - `'view-timeline'` runs scrubbed keyframes on a native `animation-timeline: view()` where supported; `'waapi'` plays keyframes with `element.animate()` and needs no stylesheet. Both fall back to `'css'` where unsupported
+ * @property {'trigger' | 'progress'} [mode='trigger'] - `'progress'` scrubs with a continuously updated `--rs-progress` (0 → 1 through the viewport) instead of toggling `is-visible`
  * @property {boolean} [debug=false] - Show a visual trigger indicator for debugging
  * @property {string} [sentinelColor='#00e0ff'] - Debug indicator color
  * @property {string} [sentinelId] - Unique debug indicator identifier
  * @property {string} [debugLabel] - Label to show on the debug indicator
  * @property {number} [offset=0] - Viewport offset in pixels (positive = trigger earlier). This is separate from calculateRootMargin's percentage helper.
+ * @property {'x' | 'y'} [axis='y'] - Scroll axis: `'x'` applies `offset` to the inline-end edge and measures progress and direction horizontally
  * @property {string} [easing='ease'] - CSS timing function
  * @property {number} [delay=0] - Animation delay in milliseconds
+ * @property {boolean | CountUpOptions} [countUp] - Count the number in the element text up from `from` when it is revealed (follows `--rs-progress` in progress mode)
+ * @property {number | string} [distance] - Travel distance of directional animations (`--rs-distance`; numbers in px); default: the inherited `--rs-distance`
+ * @property {number} [scale] - Hidden-state scale (`--scale`), e.g. `0.95` for a subtle zoom
+ * @property {number | string} [rotate] - Hidden-state rotation (`--rotate`; numbers in deg)
+ * @property {number | string} [perspective] - Perspective of the flip family (`--rs-perspective`; numbers in px); default: 2500px
+ * @property {number | StaggerOptions} [drawStagger] - Cascade between the shapes of a `draw` animation (a number is the step in milliseconds)
+ * @property {SplitType} [split] - Split the text into pieces that play the animation one after another; a visually hidden copy of the text keeps it readable to screen readers
+ * @property {number | StaggerOptions} [splitStagger=30] - Cascade between split pieces (a number is the step in milliseconds)
+ * @property {number | StaggerOptions} [stagger] - Cascade elements entering in the same observer batch (a number is the step in milliseconds); added to `delay`
  * @property {number | number[]} [threshold=0] - IntersectionObserver threshold
  * @property {string} [rootMargin] - IntersectionObserver root margin override
+ * @property {Element | Document | string | null} [root] - Scroll container to observe against instead of the viewport: an element, or a selector matched against the closest ancestor first
  * @property {HTMLElement} [observerTarget] - Element to observe instead of the animated element
- * @property {(element: HTMLElement) => void} [onVisible] - Callback when animation triggers
- * @property {(element: HTMLElement) => void} [onHidden] - Callback when a repeating animation exits
+ * @property {(element: HTMLElement, detail: IntersectionDetail) => void} [onVisible] - Callback when animation triggers
+ * @property {(element: HTMLElement, detail: IntersectionDetail) => void} [onHidden] - Callback when a repeating animation exits
+ * @property {(element: HTMLElement) => void} [onComplete] - Callback when a reveal has finished playing
+ * @property {(progress: number, element: HTMLElement) => void} [onProgress] - Callback on every `--rs-progress` change in progress mode
+ */
+
+/**
+ * Lifecycle state of an animated element: `'pending'` until its first reveal
+ * (or after `reset()`), `'visible'` while the reveal plays or the element
+ * follows the scroll, `'completed'` once the reveal has finished, and
+ * `'hidden'` after it left or was hidden again.
+ * @typedef {'pending' | 'visible' | 'hidden' | 'completed'} AnimationState
+ */
+
+/**
+ * Read-only snapshot of a live `animate` instance, from
+ * `getActiveAnimations()`.
+ * @typedef {Object} AnimationInfo
+ * @property {HTMLElement} element - Animated element
+ * @property {AnimateHandle} handle - Handle of the element
+ * @property {AnimationName} animation - Animation currently applied, after direction and fallback resolution
+ * @property {AnimateOptions} options - Copy of the active options, global defaults included
+ * @property {AnimateOptions} callerOptions - Copy of the options passed to `animate()` or the last `update()`, without global defaults
+ * @property {AnimationState} state - Lifecycle state
+ * @property {boolean} hasTriggered - Whether a one-shot reveal has played and stopped observing
+ * @property {boolean} isIntersecting - Whether the target intersected at the last observer report
+ * @property {IntersectionObserver | null} observer - Shared observer watching the target; `null` while not observed
+ */
+
+/**
+ * Read-only snapshot of a shared observer, from `getActiveObservers()`.
+ * @typedef {Object} ObserverInfo
+ * @property {IntersectionObserver} observer - Browser observer
+ * @property {IntersectionObserverInit} options - Copy of its options
+ * @property {Element[]} targets - Targets it observes
+ */
+
+/**
+ * Options accepted by `configure`: every `AnimateOptions` member that is not
+ * tied to a single element.
+ * @typedef {Omit<AnimateOptions, 'observerTarget' | 'sentinelId' | 'debugLabel'>} GlobalOptions
  */
 
 /**
@@ -32,9 +191,77 @@
  * `update` receives the complete new option set (replacement semantics).
  * @typedef {Object} AnimateHandle
  * @property {(newOptions?: AnimateOptions) => void} update - Replace the active options
+ * @property {() => void} show - Reveal now; a one-shot element stays revealed and stops observing
+ * @property {() => void} hide - Play back to the hidden state now; the observer keeps running
+ * @property {() => void} reset - Jump to the pre-trigger hidden state and observe again, even after a one-shot reveal
+ * @property {() => void} replay - Jump to the hidden state and play the entry again
+ * @property {AnimationState} state - Lifecycle state of the element
+ * @property {Promise<void>} finished - Resolves when the current or next reveal has finished playing; replaced by a new promise on the next reveal. Rejects with an `AbortError` `DOMException` when the handle is destroyed first
+ * @property {Animation} [animation] - Web Animation driving the element under `engine: 'waapi'` (pause, reverse, `finished`); replaced when options change
  * @property {() => void} destroy - Release observers, listeners, and DOM state
  */
 
+/**
+ * Elements accepted by `animateAll`: a CSS selector, a single element, or any
+ * list of elements such as a NodeList or an array.
+ * @typedef {string | Element | ArrayLike<Element> | Iterable<Element>} AnimateTargets
+ */
+
+/**
+ * Options for `animateAll`: shared `AnimateOptions` plus an optional
+ * per-element override callback whose result is merged over the shared options.
+ * The callback gets the element's position in the current member list.
+ * @typedef {AnimateOptions & { perElement?: (element: HTMLElement, index: number) => AnimateOptions | undefined }} AnimateAllOptions
+ */
+
+/**
+ * Group handle returned by `animateAll`. `update` follows the same
+ * replacement semantics as `AnimateHandle.update` for every member.
+ * @typedef {Object} AnimateGroupHandle
+ * @property {readonly HTMLElement[]} elements - Elements currently owned by the group
+ * @property {(newOptions?: AnimateAllOptions) => void} update - Replace the shared options for every member
+ * @property {(targets: AnimateTargets) => void} add - Animate additional elements with the group options
+ * @property {(targets: AnimateTargets) => void} remove - Destroy and release the given members
+ * @property {() => void} destroy - Destroy every member handle
+ */
+
+/**
+ * Handle returned by `watch`. `update` follows the replacement semantics of
+ * `AnimateGroupHandle.update`.
+ * @typedef {Object} WatchHandle
+ * @property {readonly HTMLElement[]} elements - Matching elements currently bound
+ * @property {(newOptions?: AnimateAllOptions) => void} update - Replace the options of current and future matches
+ * @property {() => void} destroy - Stop watching and destroy every bound element
+ */
+
+/**
+ * Options for `init`: `AnimateOptions` used as defaults under the `data-rs-*`
+ * attributes, plus the subtree to scan (defaults to `document`).
+ * @typedef {AnimateOptions & { scope?: ParentNode }} InitOptions
+ */
+
+/**
+ * Handle returned by `init` for declarative `data-rs` markup.
+ * @typedef {Object} InitHandle
+ * @property {readonly HTMLElement[]} elements - Elements currently bound from markup
+ * @property {() => void} refresh - Re-scan the scope: bind new markup, re-read attributes, release removed elements
+ * @property {() => void} destroy - Destroy every bound element
+ */
+
+/**
+ * Options for `mountDevtools` from `rune-scroller/devtools`.
+ * @typedef {Object} DevtoolsOptions
+ * @property {'bottom-right' | 'bottom-left' | 'top-right' | 'top-left'} [position='bottom-right'] - Corner of the viewport holding the panel
+ */
+
+/**
+ * Handle returned by `mountDevtools`.
+ * @typedef {Object} DevtoolsHandle
+ * @property {HTMLElement | null} element - Panel element; `null` without a DOM
+ * @property {() => void} refresh - Re-read animations and observers now
+ * @property {() => void} destroy - Remove the panel and its trigger lines and turn off the sentinels "Debug all" turned on
+ */
+
 /**
  * Options for `useIntersection` / `useIntersectionOnce` only (not `animate`).
  * Composable defaults: threshold 0.5, rootMargin '-10% 0px -10% 0px', root null.
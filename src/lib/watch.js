@@ -0,0 +1,70 @@
+import { animateAll } from "./animate-all.js";
+
+/**
+ * Animate matching elements inside a root, including elements inserted later.
+ *
+ * A MutationObserver binds `animate` to every inserted node (or descendant)
+ * matching `selector` and destroys the handle of every bound element that
+ * leaves the root, so a re-inserted node can be animated again. Nodes moved
+ * within the root keep their handle.
+ *
+ * @param {ParentNode} root
+ * @param {string} selector
+ * @param {import('./types.js').AnimateAllOptions} [options]
+ * @returns {import('./types.js').WatchHandle}
+ */
+export function watch(root, selector, options = {}) {
+  if (typeof window === "undefined" || !root) {
+    return {
+      elements: [],
+      update: () => {},
+      destroy: () => {},
+    };
+  }
+
+  const group = animateAll(root.querySelectorAll(selector), options);
+
+  /** @param {Node} node */
+  function bindNode(node) {
+    if (node.nodeType !== 1) return;
+    const element = /** @type {Element} */ (node);
+    if (element.matches(selector)) group.add(element);
+    group.add(element.querySelectorAll(selector));
+  }
+
+  /** @type {MutationObserver | undefined} */
+  let mutationObserver;
+  if (typeof MutationObserver !== "undefined") {
+    mutationObserver = new MutationObserver((records) => {
+      // Release first so a node moved within the root in the same batch keeps
+      // its handle, and a node moved out and back in is bound exactly once.
+      if (records.some((record) => record.removedNodes.length)) {
+        for (const element of group.elements) {
+          if (!root.contains(element)) group.remove(element);
+        }
+      }
+      for (const record of records) {
+        for (const node of record.addedNodes) bindNode(node);
+      }
+    });
+    mutationObserver.observe(root, { childList: true, subtree: true });
+  }
+
+  let destroyed = false;
+
+  return {
+    get elements() {
+      return group.elements;
+    },
+    update(newOptions = {}) {
+      if (destroyed) return;
+      group.update(newOptions);
+    },
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      mutationObserver?.disconnect();
+      group.destroy();
+    },
+  };
+}
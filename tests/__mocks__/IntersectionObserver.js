@@ -32,11 +32,8 @@ export class IntersectionObserverMock {
     observers.delete(this.id);
   }
 
-  // Testing API: Manually trigger intersection
-  trigger(element, isIntersecting) {
-    if (!this.observedElements.has(element)) return;
-
-    const entry = {
+  createEntry(element, isIntersecting) {
+    return {
       target: element,
       isIntersecting,
       intersectionRatio: isIntersecting ? 1 : 0,
@@ -46,8 +43,21 @@ export class IntersectionObserverMock {
       time: Date.now(),
       toJSON: () => ({}),
     };
+  }
 
-    this.callback([entry], this);
+  // Testing API: Manually trigger intersection
+  trigger(element, isIntersecting) {
+    if (!this.observedElements.has(element)) return;
+
+    this.callback([this.createEntry(element, isIntersecting)], this);
+  }
+
+  // Testing API: Deliver several entries in a single callback batch
+  triggerBatch(elements, isIntersecting) {
+    const entries = elements
+      .filter((element) => this.observedElements.has(element))
+      .map((element) => this.createEntry(element, isIntersecting));
+    if (entries.length) this.callback(entries, this);
   }
 }
 
@@ -96,6 +106,11 @@ export const mockIntersectionObserver = {
     matchingObservers.forEach((obs) => obs.trigger(element, isIntersecting));
   },
 
+  // Trigger intersection on several elements, one batch per observer
+  triggerBatch(elements, isIntersecting) {
+    observers.forEach((obs) => obs.triggerBatch(elements, isIntersecting));
+  },
+
   // Trigger intersection on all observed elements
   triggerAll(isIntersecting) {
     observers.forEach((obs) => {
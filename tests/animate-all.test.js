@@ -0,0 +1,167 @@
+import { afterEach, beforeEach, describe, expect, it } from "bun:test";
+import { Window } from "happy-dom";
+import { animateAll } from "../src/lib/animate-all.js";
+import { mockIntersectionObserver } from "./__mocks__/IntersectionObserver.js";
+
+let window;
+let document;
+let group;
+
+/** @param {number} count */
+function createCards(count) {
+  const cards = [];
+  for (let i = 0; i < count; i++) {
+    const card = document.createElement("div");
+    card.className = "card";
+    document.body.appendChild(card);
+    cards.push(card);
+  }
+  return cards;
+}
+
+beforeEach(() => {
+  window = new Window();
+  document = window.document;
+  globalThis.window = window;
+  globalThis.document = document;
+  globalThis.getComputedStyle = () => ({
+    transitionProperty: "opacity, transform",
+  });
+  mockIntersectionObserver.install();
+});
+
+afterEach(() => {
+  group?.destroy();
+  group = undefined;
+  mockIntersectionObserver.reset();
+  mockIntersectionObserver.uninstall();
+  delete globalThis.window;
+  delete globalThis.document;
+  delete globalThis.getComputedStyle;
+});
+
+describe("animateAll", () => {
+  it("binds every element matched by a selector", () => {
+    const cards = createCards(3);
+
+    group = animateAll(".card", { animation: "fade-up" });
+
+    expect(group.elements).toEqual(cards);
+    for (const card of cards) {
+      expect(card.getAttribute("data-animation")).toBe("fade-up");
+    }
+  });
+
+  it("accepts NodeLists and arrays without duplicating members", () => {
+    const [first, second] = createCards(2);
+
+    group = animateAll([first, second, first], { animation: "fade" });
+    expect(group.elements).toEqual([first, second]);
+    group.destroy();
+
+    group = animateAll(document.querySelectorAll(".card"));
+    expect(group.elements).toEqual([first, second]);
+  });
+
+  it("shares one observer between members with the same options", () => {
+    const [first, second] = createCards(2);
+
+    group = animateAll(".card", { animation: "fade" });
+
+    expect(mockIntersectionObserver.getAll()).toHaveLength(1);
+    expect(mockIntersectionObserver.getObserverFor(first)).toBe(
+      mockIntersectionObserver.getObserverFor(second),
+    );
+  });
+
+  it("merges per-element overrides over the shared options", () => {
+    const cards = createCards(3);
+
+    group = animateAll(".card", {
+      animation: "fade-up",
+      duration: 600,
+      perElement: (_element, index) => ({ delay: index * 100 }),
+    });
+
+    expect(cards.map((card) => card.style.getPropertyValue("--delay"))).toEqual(
+      ["0ms", "100ms", "200ms"],
+    );
+    expect(cards[2].style.getPropertyValue("--duration")).toBe("600ms");
+  });
+
+  it("passes the position in the current member list as the index", () => {
+    const [first, second, third] = createCards(3);
+    /** @type {number[]} */
+    const indices = [];
+    group = animateAll(".card", {
+      animation: "fade",
+      perElement: (_element, index) => {
+        indices.push(index);
+        return { delay: index * 100 };
+      },
+    });
+
+    group.remove(second);
+    const [fourth] = createCards(1);
+    group.add(fourth);
+
+    expect(indices).toEqual([0, 1, 2, 1, 2]);
+    expect(
+      [first, third, fourth].map((card) =>
+        card.style.getPropertyValue("--delay"),
+      ),
+    ).toEqual(["0ms", "100ms", "200ms"]);
+
+    indices.length = 0;
+    group.update({
+      animation: "fade",
+      perElement: (_element, index) => {
+        indices.push(index);
+        return { delay: index * 100 };
+      },
+    });
+    expect(indices).toEqual([0, 1, 2]);
+  });
+
+  it("replaces the shared options of every member through update", () => {
+    const cards = createCards(2);
+    group = animateAll(".card", { animation: "fade", duration: 600 });
+
+    group.update({ animation: "zoom-in" });
+
+    for (const card of cards) {
+      expect(card.getAttribute("data-animation")).toBe("zoom-in");
+      expect(card.style.getPropertyValue("--duration")).toBe("");
+    }
+  });
+
+  it("adds and removes members", () => {
+    const [first] = createCards(1);
+    group = animateAll(".card", { animation: "fade" });
+
+    const [second] = createCards(1);
+    group.add(second);
+    group.add(second);
+    expect(group.elements).toEqual([first, second]);
+    expect(second.getAttribute("data-animation")).toBe("fade");
+
+    group.remove(first);
+    expect(group.elements).toEqual([second]);
+    expect(first.classList.contains("scroll-animate")).toBe(false);
+    expect(mockIntersectionObserver.getObserverFor(first)).toBeUndefined();
+  });
+
+  it("destroys every member and ignores later calls", () => {
+    const cards = createCards(2);
+    group = animateAll(".card", { animation: "fade" });
+
+    group.destroy();
+    group.add(createCards(1));
+
+    expect(group.elements).toHaveLength(0);
+    for (const card of cards) {
+      expect(card.hasAttribute("data-animation")).toBe(false);
+    }
+    expect(mockIntersectionObserver.getAll()).toHaveLength(0);
+  });
+});
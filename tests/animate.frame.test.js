@@ -16,13 +16,18 @@ describe("animate scheduling", () => {
     globalThis.getComputedStyle = () => ({ animation: "fade" });
     globalThis.IntersectionObserver = class {
       observe() {}
+      unobserve() {}
       disconnect() {}
     };
 
     const element = document.createElement("div");
     document.body.appendChild(element);
 
-    expect(() => animate(element, { animation: "fade" })).not.toThrow();
+    let action;
+    expect(() => {
+      action = animate(element, { animation: "fade" });
+    }).not.toThrow();
+    action?.destroy();
 
     globalThis.window = originalWindow;
     globalThis.document = originalDocument;
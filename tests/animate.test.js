@@ -1,6 +1,7 @@
-import { afterEach, beforeEach, describe, expect, it } from "bun:test";
+import { afterEach, beforeEach, describe, expect, it, spyOn } from "bun:test";
 import { Window } from "happy-dom";
-import { animate } from "../src/lib/animate.js";
+import { animate, getActiveAnimations } from "../src/lib/animate.js";
+import { configure, setEnabled } from "../src/lib/config.js";
 import { mockIntersectionObserver } from "./__mocks__/IntersectionObserver.js";
 
 let window;
@@ -171,6 +172,1249 @@ describe("animate DOM core", () => {
   });
 });
 
+describe("animate stagger", () => {
+  /** @param {number} count */
+  function createCards(count) {
+    return Array.from({ length: count }, () => {
+      const card = document.createElement("div");
+      document.body.appendChild(card);
+      return card;
+    });
+  }
+
+  it("cascades elements entering in the same observer batch", () => {
+    const cards = createCards(3);
+    const handles = cards.map((card) =>
+      animate(card, { animation: "fade-up", delay: 50, stagger: 100 }),
+    );
+
+    mockIntersectionObserver.triggerBatch(cards, true);
+
+    expect(cards.map((card) => card.style.getPropertyValue("--delay"))).toEqual(
+      ["50ms", "150ms", "250ms"],
+    );
+    expect(cards.every((card) => card.classList.contains("is-visible"))).toBe(
+      true,
+    );
+    handles.forEach((handle) => handle.destroy());
+  });
+
+  it("animates an element entering alone without extra delay", () => {
+    const [card] = createCards(1);
+    action = animate(card, { animation: "fade", stagger: 100 });
+
+    mockIntersectionObserver.trigger(card, true);
+
+    expect(card.style.getPropertyValue("--delay")).toBe("");
+    expect(card.classList.contains("is-visible")).toBe(true);
+  });
+
+  it("only counts stagger elements in the batch", () => {
+    const [plain, first, second] = createCards(3);
+    const handles = [
+      animate(plain, { animation: "fade" }),
+      animate(first, { animation: "fade", stagger: { step: 80, from: "end" } }),
+      animate(second, {
+        animation: "fade",
+        stagger: { step: 80, from: "end" },
+      }),
+    ];
+
+    mockIntersectionObserver.triggerBatch([plain, first, second], true);
+
+    expect(plain.style.getPropertyValue("--delay")).toBe("");
+    expect(first.style.getPropertyValue("--delay")).toBe("80ms");
+    expect(second.style.getPropertyValue("--delay")).toBe("");
+    handles.forEach((handle) => handle.destroy());
+  });
+
+  it("drops the cascade delay when a repeating element exits", () => {
+    const cards = createCards(2);
+    const handles = cards.map((card) =>
+      animate(card, { animation: "fade", repeat: true, stagger: 100 }),
+    );
+
+    mockIntersectionObserver.triggerBatch(cards, true);
+    expect(cards[1].style.getPropertyValue("--delay")).toBe("100ms");
+
+    mockIntersectionObserver.triggerBatch(cards, false);
+    expect(cards[1].style.getPropertyValue("--delay")).toBe("");
+    handles.forEach((handle) => handle.destroy());
+  });
+
+  it("restores a caller-owned delay on destroy", () => {
+    const cards = createCards(2);
+    cards[1].style.setProperty("--delay", "1s");
+    const handles = cards.map((card) =>
+      animate(card, { animation: "fade", stagger: 100 }),
+    );
+
+    mockIntersectionObserver.triggerBatch(cards, true);
+    expect(cards[1].style.getPropertyValue("--delay")).toBe("100ms");
+
+    handles.forEach((handle) => handle.destroy());
+    expect(cards[1].style.getPropertyValue("--delay")).toBe("1s");
+  });
+});
+
+describe("animate control methods", () => {
+  function nextFrame() {
+    return new Promise((resolve) => window.requestAnimationFrame(resolve));
+  }
+
+  it("shows a one-shot element and stops observing it", () => {
+    action = animate(element, { animation: "fade-up" });
+
+    action.show();
+
+    expect(element.classList.contains("is-visible")).toBe(true);
+    mockIntersectionObserver.trigger(element, false);
+    expect(element.classList.contains("is-visible")).toBe(true);
+  });
+
+  it("hides and shows again while repeat keeps observing", () => {
+    action = animate(element, { animation: "fade-up", repeat: true });
+    mockIntersectionObserver.trigger(element, true);
+
+    action.hide();
+    expect(element.classList.contains("is-visible")).toBe(false);
+
+    action.show();
+    expect(element.classList.contains("is-visible")).toBe(true);
+    mockIntersectionObserver.trigger(element, false);
+    expect(element.classList.contains("is-visible")).toBe(false);
+  });
+
+  it("resets a completed one-shot element and observes it again", async () => {
+    action = animate(element, { animation: "fade-up" });
+    mockIntersectionObserver.trigger(element, true);
+    mockIntersectionObserver.trigger(element, false);
+    expect(element.classList.contains("is-visible")).toBe(true);
+
+    action.reset();
+
+    expect(element.classList.contains("is-visible")).toBe(false);
+    expect(element.style.transition).toBe("none");
+    expect(element.hasAttribute("data-rs-direction")).toBe(false);
+    await nextFrame();
+    await nextFrame();
+    expect(element.style.transition).toBe("");
+    expect(element.classList.contains("is-visible")).toBe(false);
+
+    mockIntersectionObserver.trigger(element, true);
+    expect(element.classList.contains("is-visible")).toBe(true);
+  });
+
+  it("replays the entry from its hidden state", async () => {
+    action = animate(element, { animation: "fade-up" });
+    mockIntersectionObserver.trigger(element, true);
+
+    action.replay();
+
+    expect(element.classList.contains("is-visible")).toBe(false);
+    expect(element.style.transition).toBe("none");
+    await nextFrame();
+    await nextFrame();
+    expect(element.style.transition).toBe("");
+    expect(element.classList.contains("is-visible")).toBe(true);
+  });
+
+  it("does nothing after destroy", () => {
+    action = animate(element, { animation: "fade-up" });
+    action.destroy();
+
+    action.show();
+    action.replay();
+
+    expect(element.classList.contains("is-visible")).toBe(false);
+    expect(element.hasAttribute("data-animation")).toBe(false);
+    action = undefined;
+  });
+});
+
+describe("animate completion", () => {
+  it("completes when the element transition ends", async () => {
+    const completed = [];
+    action = animate(element, {
+      animation: "fade-up",
+      onComplete: (el) => completed.push(el),
+    });
+    const { finished } = action;
+    let resolved = false;
+    finished.then(() => (resolved = true));
+
+    mockIntersectionObserver.trigger(element, true);
+    element.dispatchEvent(new window.Event("transitionend"));
+    await finished;
+
+    expect(resolved).toBe(true);
+    expect(completed).toEqual([element]);
+  });
+
+  it("ignores transitions of unrelated properties and children", () => {
+    const onComplete = spyOn({ onComplete() {} }, "onComplete");
+    action = animate(element, { animation: "fade-up", onComplete });
+    mockIntersectionObserver.trigger(element, true);
+
+    const colorEnd = new window.Event("transitionend");
+    Object.defineProperty(colorEnd, "propertyName", { value: "color" });
+    element.dispatchEvent(colorEnd);
+    const child = document.createElement("span");
+    element.appendChild(child);
+    child.dispatchEvent(new window.Event("transitionend", { bubbles: true }));
+
+    expect(onComplete).not.toHaveBeenCalled();
+  });
+
+  it("falls back to duration and delay without a transition event", async () => {
+    const onComplete = spyOn({ onComplete() {} }, "onComplete");
+    action = animate(element, {
+      animation: "fade-up",
+      duration: 0,
+      delay: 0,
+      onComplete,
+    });
+    mockIntersectionObserver.trigger(element, true);
+
+    await action.finished;
+
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it("completes at once under reduced motion", () => {
+    window.matchMedia = () => ({ matches: true });
+    const onComplete = spyOn({ onComplete() {} }, "onComplete");
+    action = animate(element, { animation: "fade-up", onComplete });
+
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports the entry before completing under reduced motion", () => {
+    window.matchMedia = () => ({ matches: true });
+    const order = [];
+    action = animate(element, {
+      animation: "fade-up",
+      onVisible: () => order.push("onVisible"),
+      onComplete: () => order.push("onComplete"),
+    });
+    for (const type of ["rs:enter", "rs:complete"]) {
+      element.addEventListener(type, () => order.push(type));
+    }
+
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(order).toEqual([
+      "onVisible",
+      "rs:enter",
+      "onComplete",
+      "rs:complete",
+    ]);
+    expect(action.state).toBe("completed");
+  });
+
+  it("waits for the next reveal after leaving mid-way", () => {
+    const onComplete = spyOn({ onComplete() {} }, "onComplete");
+    action = animate(element, {
+      animation: "fade-up",
+      repeat: true,
+      onComplete,
+    });
+    const first = action.finished;
+
+    mockIntersectionObserver.trigger(element, true);
+    mockIntersectionObserver.trigger(element, false);
+    element.dispatchEvent(new window.Event("transitionend"));
+    expect(onComplete).not.toHaveBeenCalled();
+
+    mockIntersectionObserver.trigger(element, true);
+    element.dispatchEvent(new window.Event("transitionend"));
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(action.finished).toBe(first);
+
+    mockIntersectionObserver.trigger(element, false);
+    mockIntersectionObserver.trigger(element, true);
+    expect(action.finished).not.toBe(first);
+  });
+
+  it("rejects a pending finished with an AbortError on destroy", async () => {
+    action = animate(element, { animation: "fade-up", duration: 500 });
+    mockIntersectionObserver.trigger(element, true);
+    const { finished } = action;
+
+    action.destroy();
+
+    const error = await finished.catch((reason) => reason);
+    expect(error).toBeInstanceOf(DOMException);
+    expect(error.name).toBe("AbortError");
+  });
+
+  it("keeps a settled finished resolved after destroy", async () => {
+    action = animate(element, { animation: "fade-up" });
+    mockIntersectionObserver.trigger(element, true);
+    element.dispatchEvent(new window.Event("transitionend"));
+
+    action.destroy();
+
+    await expect(action.finished).resolves.toBeUndefined();
+  });
+});
+
+describe("animate lifecycle events", () => {
+  function record(...types) {
+    const events = [];
+    for (const type of types) {
+      document.body.addEventListener(type, (event) => events.push(event));
+    }
+    return events;
+  }
+
+  it("dispatches bubbling enter and leave events with details", () => {
+    const events = record("rs:enter", "rs:leave");
+    action = animate(element, { animation: "zoom-in", repeat: true });
+
+    mockIntersectionObserver.trigger(element, true);
+    mockIntersectionObserver.trigger(element, false);
+
+    expect(events.map((event) => event.type)).toEqual(["rs:enter", "rs:leave"]);
+    expect(events[0].target).toBe(element);
+    expect(events[0].detail).toMatchObject({
+      animation: "zoom-in",
+      intersectionRatio: 1,
+    });
+    expect(events[0].detail.handle).toBe(action);
+    expect(events[0].detail.direction).toBeOneOf(["up", "down"]);
+    expect(events[1].detail.intersectionRatio).toBe(0);
+  });
+
+  it("dispatches complete after the reveal and destroy before cleanup", () => {
+    const events = record("rs:complete", "rs:destroy");
+    action = animate(element, { animation: "fade-up" });
+    mockIntersectionObserver.trigger(element, true);
+
+    element.dispatchEvent(new window.Event("transitionend"));
+    let animationOnDestroy;
+    element.addEventListener("rs:destroy", () => {
+      animationOnDestroy = element.getAttribute("data-animation");
+    });
+    action.destroy();
+    action.destroy();
+
+    expect(events.map((event) => event.type)).toEqual([
+      "rs:complete",
+      "rs:destroy",
+    ]);
+    expect(animationOnDestroy).toBe("fade-up");
+    action = undefined;
+  });
+});
+
+describe("animate global defaults", () => {
+  afterEach(() => {
+    configure({});
+  });
+
+  it("applies configured defaults under the call options", () => {
+    configure({ animation: "zoom-in", duration: 600, offset: 80 });
+    action = animate(element, { duration: 300 });
+
+    expect(element.getAttribute("data-animation")).toBe("zoom-in");
+    expect(element.style.getPropertyValue("--duration")).toBe("300ms");
+    expect(
+      mockIntersectionObserver.getObserverFor(element)?.options.rootMargin,
+    ).toBe("0px 0px 80px 0px");
+  });
+
+  it("reverts removed options to the configured value on update", () => {
+    configure({ duration: 600 });
+    action = animate(element, { animation: "fade", duration: 300 });
+
+    action.update({ animation: "fade" });
+
+    expect(element.style.getPropertyValue("--duration")).toBe("600ms");
+  });
+});
+
+describe("animate kill switch", () => {
+  afterEach(() => {
+    setEnabled(true);
+  });
+
+  it("reveals active elements at once and stops observing them", () => {
+    action = animate(element, { animation: "fade-up", repeat: true });
+
+    setEnabled(false);
+
+    expect(element.classList.contains("is-visible")).toBe(true);
+    expect(element.style.transition).toBe("none");
+    expect(mockIntersectionObserver.getObserverFor(element)).toBeUndefined();
+  });
+
+  it("reveals scroll-linked elements as plain elements", () => {
+    action = animate(element, { animation: "fade-up", mode: "progress" });
+
+    setEnabled(false);
+
+    expect(element.hasAttribute("data-rs-state-mode")).toBe(false);
+    expect(element.classList.contains("is-visible")).toBe(true);
+
+    setEnabled(true);
+    expect(element.getAttribute("data-rs-state-mode")).toBe("progress");
+    expect(element.classList.contains("is-visible")).toBe(false);
+  });
+
+  it("starts revealed while disabled and ignores control methods", () => {
+    setEnabled(false);
+    action = animate(element, { animation: "fade-up" });
+
+    action.hide();
+
+    expect(element.classList.contains("is-visible")).toBe(true);
+    expect(mockIntersectionObserver.getObserverFor(element)).toBeUndefined();
+  });
+
+  it("re-arms elements that still have to play when re-enabled", () => {
+    action = animate(element, { animation: "fade-up" });
+    setEnabled(false);
+
+    setEnabled(true);
+
+    expect(element.classList.contains("is-visible")).toBe(false);
+    mockIntersectionObserver.trigger(element, true);
+    expect(element.classList.contains("is-visible")).toBe(true);
+  });
+
+  it("keeps a played one-shot element revealed when re-enabled", () => {
+    action = animate(element, { animation: "fade-up" });
+    mockIntersectionObserver.trigger(element, true);
+    setEnabled(false);
+
+    setEnabled(true);
+
+    expect(element.classList.contains("is-visible")).toBe(true);
+    expect(mockIntersectionObserver.getObserverFor(element)).toBeUndefined();
+  });
+});
+
+describe("animate introspection", () => {
+  function inspect(handle) {
+    return getActiveAnimations().find((info) => info.handle === handle);
+  }
+
+  it("lists live instances until they are destroyed", () => {
+    action = animate(element, { animation: "zoom-in", duration: 500 });
+
+    const info = inspect(action);
+    expect(info.element).toBe(element);
+    expect(info.options).toMatchObject({ animation: "zoom-in", duration: 500 });
+    expect(info.state).toBe("pending");
+    expect(info.observer).toBe(
+      mockIntersectionObserver.getObserverFor(element),
+    );
+
+    info.options.duration = 100;
+    expect(inspect(action).options.duration).toBe(500);
+
+    action.destroy();
+    expect(inspect(action)).toBeUndefined();
+    action = undefined;
+  });
+
+  it("reports the applied animation and the caller's own options", () => {
+    configure({ duration: 600 });
+    action = animate(element, {
+      animation: { down: "zoom-in", up: "fade-down" },
+    });
+
+    const info = inspect(action);
+    expect(info.animation).toBe("zoom-in");
+    expect(info.options.duration).toBe(600);
+    expect(info.callerOptions).toEqual({
+      animation: { down: "zoom-in", up: "fade-down" },
+    });
+
+    action.update({ animation: "not-an-animation" });
+    expect(inspect(action).animation).toBe("fade-in");
+    expect(inspect(action).callerOptions).toEqual({
+      animation: "not-an-animation",
+    });
+    configure({});
+  });
+
+  it("tracks the lifecycle state on the handle", () => {
+    action = animate(element, { animation: "fade-up", repeat: true });
+    expect(action.state).toBe("pending");
+
+    mockIntersectionObserver.trigger(element, true);
+    expect(action.state).toBe("visible");
+
+    element.dispatchEvent(new window.Event("transitionend"));
+    expect(action.state).toBe("completed");
+
+    mockIntersectionObserver.trigger(element, false);
+    expect(action.state).toBe("hidden");
+
+    action.reset();
+    expect(action.state).toBe("pending");
+  });
+
+  it("reports a played one-shot element as no longer observed", () => {
+    action = animate(element, { animation: "fade-up" });
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(inspect(action)).toMatchObject({
+      hasTriggered: true,
+      isIntersecting: true,
+      observer: null,
+    });
+  });
+});
+
+describe("animate transform overrides", () => {
+  it("sets the hidden-state variables on the element", () => {
+    action = animate(element, {
+      animation: "zoom-in-up",
+      distance: 20,
+      scale: 0.95,
+      rotate: "0.1turn",
+      perspective: 800,
+    });
+
+    expect(element.style.getPropertyValue("--rs-distance")).toBe("20px");
+    expect(element.style.getPropertyValue("--scale")).toBe("0.95");
+    expect(element.style.getPropertyValue("--rotate")).toBe("0.1turn");
+    expect(element.style.getPropertyValue("--rs-perspective")).toBe("800px");
+  });
+
+  it("restores caller-owned values on update and destroy", () => {
+    element.style.setProperty("--rs-distance", "3rem");
+    action = animate(element, { animation: "fade-up", distance: 200 });
+
+    expect(element.style.getPropertyValue("--rs-distance")).toBe("200px");
+
+    action.update({ animation: "fade-up", scale: 0.9 });
+    expect(element.style.getPropertyValue("--rs-distance")).toBe("3rem");
+    expect(element.style.getPropertyValue("--scale")).toBe("0.9");
+
+    action.destroy();
+    action = undefined;
+    expect(element.style.getPropertyValue("--rs-distance")).toBe("3rem");
+    expect(element.style.getPropertyValue("--scale")).toBe("");
+  });
+});
+
+describe("animate exit animations", () => {
+  function nextFrame() {
+    return new Promise((resolve) => window.requestAnimationFrame(resolve));
+  }
+
+  it("swaps to the exit animation and its timing on leave", () => {
+    action = animate(element, {
+      animation: "fade-up",
+      repeat: true,
+      exitAnimation: "zoom-out",
+      exitDuration: 250,
+      exitEasing: "ease-in",
+    });
+
+    expect(element.style.getPropertyValue("--exit-duration")).toBe("250ms");
+    expect(element.style.getPropertyValue("--exit-easing")).toBe("ease-in");
+
+    mockIntersectionObserver.trigger(element, true);
+    mockIntersectionObserver.trigger(element, false);
+
+    expect(element.classList.contains("is-visible")).toBe(false);
+    expect(element.classList.contains("is-exited")).toBe(true);
+    expect(element.getAttribute("data-animation")).toBe("zoom-out");
+  });
+
+  it("re-enters from the entry animation's hidden state", async () => {
+    action = animate(element, {
+      animation: "fade-up",
+      repeat: true,
+      exitAnimation: "fade",
+    });
+    await nextFrame();
+    await nextFrame();
+    mockIntersectionObserver.trigger(element, true);
+    mockIntersectionObserver.trigger(element, false);
+
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(element.classList.contains("is-exited")).toBe(false);
+    expect(element.getAttribute("data-animation")).toBe("fade-up");
+    expect(element.style.transition).toBe("none");
+    expect(element.classList.contains("is-visible")).toBe(false);
+
+    await nextFrame();
+    await nextFrame();
+
+    expect(element.style.transition).toBe("");
+    expect(element.classList.contains("is-visible")).toBe(true);
+  });
+
+  it("reverses the entry without exitAnimation or repeat", () => {
+    action = animate(element, {
+      animation: "fade-up",
+      exitAnimation: "zoom-out",
+    });
+    mockIntersectionObserver.trigger(element, true);
+    action.update({ animation: "fade-up", repeat: true });
+    mockIntersectionObserver.trigger(element, false);
+
+    expect(element.classList.contains("is-exited")).toBe(false);
+    expect(element.getAttribute("data-animation")).toBe("fade-up");
+  });
+
+  it("clears the exit state on update and destroy", () => {
+    element.style.setProperty("--exit-delay", "50ms");
+    action = animate(element, {
+      animation: "fade",
+      repeat: true,
+      exitAnimation: "slide-left",
+      exitDelay: 100,
+    });
+    mockIntersectionObserver.trigger(element, true);
+    mockIntersectionObserver.trigger(element, false);
+
+    action.update({
+      animation: "fade",
+      repeat: true,
+      exitAnimation: "flip-up",
+    });
+    expect(element.getAttribute("data-animation")).toBe("flip-up");
+    expect(element.style.getPropertyValue("--exit-delay")).toBe("50ms");
+
+    action.update({ animation: "zoom-in", repeat: true });
+    expect(element.classList.contains("is-exited")).toBe(false);
+    expect(element.getAttribute("data-animation")).toBe("zoom-in");
+
+    action.update({ animation: "fade", repeat: true, exitAnimation: "fade" });
+    mockIntersectionObserver.trigger(element, true);
+    mockIntersectionObserver.trigger(element, false);
+    action.destroy();
+
+    expect(element.classList.contains("is-exited")).toBe(false);
+    expect(element.hasAttribute("data-animation")).toBe(false);
+  });
+});
+
+describe("animate scroll direction", () => {
+  /** @param {number} top */
+  function placeAt(top) {
+    element.getBoundingClientRect = () => ({ top, height: 200 });
+  }
+
+  function nextFrame() {
+    return new Promise((resolve) => window.requestAnimationFrame(resolve));
+  }
+
+  beforeEach(() => {
+    window.innerHeight = 800;
+  });
+
+  it("exposes the direction as an attribute and to the callbacks", () => {
+    /** @type {string[]} */
+    const reported = [];
+    action = animate(element, {
+      animation: "fade-up",
+      repeat: true,
+      onVisible: (_target, { direction }) => reported.push(`in:${direction}`),
+      onHidden: (_target, { direction }) => reported.push(`out:${direction}`),
+    });
+
+    placeAt(700);
+    mockIntersectionObserver.trigger(element, true);
+    expect(element.getAttribute("data-rs-direction")).toBe("down");
+    placeAt(-150);
+    mockIntersectionObserver.trigger(element, false);
+    placeAt(-150);
+    mockIntersectionObserver.trigger(element, true);
+    expect(element.getAttribute("data-rs-direction")).toBe("up");
+
+    expect(reported).toEqual(["in:down", "out:down", "in:up"]);
+
+    action.destroy();
+    expect(element.hasAttribute("data-rs-direction")).toBe(false);
+  });
+
+  it("plays the animation of each direction", async () => {
+    action = animate(element, {
+      animation: { down: "fade-up", up: "fade-down" },
+      repeat: true,
+    });
+    await nextFrame();
+    await nextFrame();
+    expect(element.getAttribute("data-animation")).toBe("fade-up");
+
+    placeAt(700);
+    mockIntersectionObserver.trigger(element, true);
+    expect(element.classList.contains("is-visible")).toBe(true);
+
+    // Leaving at the top prepares the entry from the top.
+    placeAt(-150);
+    mockIntersectionObserver.trigger(element, false);
+    expect(element.getAttribute("data-animation")).toBe("fade-down");
+
+    placeAt(-150);
+    mockIntersectionObserver.trigger(element, true);
+    expect(element.classList.contains("is-visible")).toBe(true);
+  });
+
+  it("treats the first report as scrolling down wherever the element sits", async () => {
+    action = animate(element, {
+      animation: { down: "fade-up", up: "fade-down" },
+    });
+    await nextFrame();
+    await nextFrame();
+
+    placeAt(100);
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(element.getAttribute("data-rs-direction")).toBe("down");
+    expect(element.getAttribute("data-animation")).toBe("fade-up");
+  });
+
+  it("resets to the hidden state of the other direction before revealing", async () => {
+    action = animate(element, { animation: { down: "zoom-in", up: "fade" } });
+    await nextFrame();
+    await nextFrame();
+
+    // Initial report: the element starts above the viewport.
+    placeAt(-150);
+    mockIntersectionObserver.trigger(element, false);
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(element.getAttribute("data-animation")).toBe("fade");
+    expect(element.classList.contains("is-visible")).toBe(false);
+    await nextFrame();
+    await nextFrame();
+    expect(element.classList.contains("is-visible")).toBe(true);
+  });
+
+  it("falls back to the other direction when one is missing", () => {
+    action = animate(element, { animation: { up: "flip-up" } });
+
+    expect(element.getAttribute("data-animation")).toBe("flip-up");
+  });
+});
+
+describe("animate scroll root", () => {
+  let panel;
+
+  beforeEach(() => {
+    panel = document.createElement("div");
+    panel.className = "panel";
+    document.body.appendChild(panel);
+    panel.appendChild(element);
+  });
+
+  it("observes against a root element", () => {
+    action = animate(element, { animation: "fade", root: panel, offset: 40 });
+
+    const observer = mockIntersectionObserver.getObserverFor(element);
+    expect(observer.options.root).toBe(panel);
+    expect(observer.options.rootMargin).toBe("0px 0px 40px 0px");
+  });
+
+  it("resolves a selector against the closest ancestor first", () => {
+    const otherPanel = document.createElement("div");
+    otherPanel.className = "panel";
+    document.body.insertBefore(otherPanel, panel);
+
+    action = animate(element, { animation: "fade", root: ".panel" });
+
+    expect(mockIntersectionObserver.getObserverFor(element).options.root).toBe(
+      panel,
+    );
+  });
+
+  it("falls back to the viewport when the selector matches nothing", () => {
+    const warn = spyOn(console, "warn").mockImplementation(() => {});
+    action = animate(element, { animation: "fade", root: ".missing" });
+
+    expect(mockIntersectionObserver.getObserverFor(element).options.root).toBe(
+      null,
+    );
+    expect(warn.mock.calls.at(-1)[0]).toContain('Scroll root ".missing"');
+    warn.mockRestore();
+  });
+
+  it("reconnects when the root changes", () => {
+    action = animate(element, { animation: "fade" });
+    action.update({ animation: "fade", root: panel });
+
+    expect(mockIntersectionObserver.getObserverFor(element).options.root).toBe(
+      panel,
+    );
+  });
+
+  it("measures progress against the root bounds", () => {
+    panel.getBoundingClientRect = () => ({ top: 100, height: 400 });
+    element.getBoundingClientRect = () => ({ top: 350, height: 100 });
+    action = animate(element, {
+      animation: "fade",
+      mode: "progress",
+      root: panel,
+    });
+
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(element.style.getPropertyValue("--rs-progress")).toBe("0.3");
+  });
+});
+
+describe("animate horizontal axis", () => {
+  it("applies the offset to the inline-end edge", () => {
+    action = animate(element, {
+      animation: "fade-left",
+      axis: "x",
+      offset: 60,
+    });
+
+    expect(
+      mockIntersectionObserver.getObserverFor(element).options.rootMargin,
+    ).toBe("0px 60px 0px 0px");
+  });
+
+  it("uses the left edge as inline end in right-to-left layouts", () => {
+    globalThis.getComputedStyle = () => ({
+      transitionProperty: "opacity, transform",
+      direction: "rtl",
+    });
+    action = animate(element, { animation: "fade", axis: "x", offset: 60 });
+
+    expect(
+      mockIntersectionObserver.getObserverFor(element).options.rootMargin,
+    ).toBe("0px 0px 0px 60px");
+  });
+
+  it("measures progress and direction along x within a scroll root", () => {
+    const track = document.createElement("div");
+    document.body.appendChild(track);
+    track.appendChild(element);
+    track.getBoundingClientRect = () => ({
+      top: 0,
+      left: 100,
+      width: 400,
+      height: 300,
+    });
+    element.getBoundingClientRect = () => ({
+      top: 0,
+      left: 350,
+      width: 100,
+      height: 300,
+    });
+    action = animate(element, {
+      animation: "fade",
+      axis: "x",
+      mode: "progress",
+      root: track,
+    });
+
+    mockIntersectionObserver.getObserverFor(element).callback([
+      {
+        target: element,
+        isIntersecting: true,
+        boundingClientRect: element.getBoundingClientRect(),
+        rootBounds: track.getBoundingClientRect(),
+      },
+    ]);
+
+    expect(element.style.getPropertyValue("--rs-progress")).toBe("0.3");
+    expect(element.getAttribute("data-rs-direction")).toBe("down");
+  });
+
+  it("reconnects and redraws the debug sentinel when the axis changes", () => {
+    action = animate(element, { animation: "fade", debug: true, offset: 10 });
+    action.update({ animation: "fade", debug: true, offset: 10, axis: "x" });
+
+    const sentinel = element.querySelector("[data-sentinel-debug]");
+    expect(sentinel.style.height).toBe("100%");
+    expect(
+      mockIntersectionObserver.getObserverFor(element).options.rootMargin,
+    ).toBe("0px 10px 0px 0px");
+  });
+});
+
+describe("animate split text", () => {
+  it("reveals the pieces one after another while the element stays visible", () => {
+    element.textContent = "Rise and shine";
+    action = animate(element, {
+      animation: "fade-up",
+      split: "words",
+      splitStagger: 50,
+      delay: 100,
+    });
+
+    const pieces = [...element.querySelectorAll(".rs-word")];
+    expect(pieces).toHaveLength(3);
+    expect(element.classList.contains("scroll-animate")).toBe(false);
+    expect(element.getAttribute("data-rs-state-split")).toBe("words");
+    expect(pieces[0].classList.contains("scroll-animate")).toBe(true);
+    expect(pieces[0].getAttribute("data-animation")).toBe("fade-up");
+
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(
+      pieces.every((piece) => piece.classList.contains("is-visible")),
+    ).toBe(true);
+    expect(
+      pieces.map((piece) => piece.style.getPropertyValue("--delay")),
+    ).toEqual(["100ms", "150ms", "200ms"]);
+    expect(element.style.getPropertyValue("will-change")).toBe("");
+  });
+
+  it("re-splits on update and restores the markup on destroy", () => {
+    element.innerHTML = "Hi <b>there</b>";
+    const original = element.innerHTML;
+    action = animate(element, { animation: "fade", split: "words" });
+
+    action.update({ animation: "fade", split: "chars" });
+    expect(element.querySelectorAll(".rs-char")).toHaveLength(7);
+    expect(element.querySelectorAll(".rs-word")).toHaveLength(2);
+
+    action.destroy();
+    expect(element.innerHTML).toBe(original);
+    expect(element.hasAttribute("aria-label")).toBe(false);
+    expect(element.hasAttribute("data-rs-state-split")).toBe(false);
+  });
+
+  it("animates the element itself when split is dropped", () => {
+    element.textContent = "Hello world";
+    action = animate(element, { animation: "fade", split: "words" });
+
+    action.update({ animation: "fade" });
+
+    expect(element.querySelector(".rs-word")).toBeNull();
+    expect(element.textContent).toBe("Hello world");
+    expect(element.classList.contains("scroll-animate")).toBe(true);
+  });
+});
+
+describe("animate progress mode", () => {
+  /** @param {number} top */
+  function placeAt(top) {
+    element.getBoundingClientRect = () => ({ top, height: 200 });
+  }
+
+  function nextFrame() {
+    return new Promise((resolve) => window.requestAnimationFrame(resolve));
+  }
+
+  it("exposes --rs-progress instead of toggling is-visible", () => {
+    window.innerHeight = 800;
+    placeAt(400);
+    /** @type {number[]} */
+    const reported = [];
+    action = animate(element, {
+      animation: "fade-up",
+      mode: "progress",
+      onProgress: (progress, target) => {
+        expect(target).toBe(element);
+        reported.push(progress);
+      },
+    });
+
+    expect(element.getAttribute("data-rs-state-mode")).toBe("progress");
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(element.style.getPropertyValue("--rs-progress")).toBe("0.4");
+    expect(reported).toEqual([0.4]);
+    expect(element.classList.contains("is-visible")).toBe(false);
+  });
+
+  it("updates progress on scroll while intersecting", async () => {
+    window.innerHeight = 800;
+    placeAt(800);
+    action = animate(element, { animation: "fade", mode: "progress" });
+    mockIntersectionObserver.trigger(element, true);
+    expect(element.style.getPropertyValue("--rs-progress")).toBe("0");
+
+    placeAt(300);
+    window.dispatchEvent(new window.Event("scroll"));
+    await nextFrame();
+
+    expect(element.style.getPropertyValue("--rs-progress")).toBe("0.5");
+  });
+
+  it("settles progress and stops tracking once the element leaves", async () => {
+    window.innerHeight = 800;
+    placeAt(100);
+    let calls = 0;
+    action = animate(element, {
+      animation: "fade",
+      mode: "progress",
+      onProgress: () => calls++,
+    });
+    mockIntersectionObserver.trigger(element, true);
+
+    placeAt(-300);
+    mockIntersectionObserver.trigger(element, false);
+    expect(element.style.getPropertyValue("--rs-progress")).toBe("1");
+
+    placeAt(100);
+    window.dispatchEvent(new window.Event("scroll"));
+    await nextFrame();
+    expect(calls).toBe(2);
+    expect(mockIntersectionObserver.getObserverFor(element)).toBeDefined();
+  });
+
+  it("reveals the element when switching back to trigger mode", () => {
+    placeAt(100);
+    action = animate(element, { animation: "fade", mode: "progress" });
+    mockIntersectionObserver.trigger(element, true);
+
+    action.update({ animation: "fade" });
+
+    expect(element.hasAttribute("data-rs-state-mode")).toBe(false);
+    expect(element.style.getPropertyValue("--rs-progress")).toBe("");
+    expect(element.classList.contains("is-visible")).toBe(true);
+  });
+
+  it("restores progress state on destroy", () => {
+    element.style.setProperty("--rs-progress", "0.25");
+    placeAt(100);
+    action = animate(element, { animation: "fade", mode: "progress" });
+    mockIntersectionObserver.trigger(element, true);
+
+    action.destroy();
+
+    expect(element.hasAttribute("data-rs-state-mode")).toBe(false);
+    expect(element.style.getPropertyValue("--rs-progress")).toBe("0.25");
+  });
+});
+
+describe("animate view-timeline engine", () => {
+  const originalCSS = globalThis.CSS;
+
+  afterEach(() => {
+    globalThis.CSS = originalCSS;
+  });
+
+  /** @param {boolean} supported */
+  function setViewTimelineSupport(supported) {
+    globalThis.CSS = {
+      supports: (condition) =>
+        supported && condition === "animation-timeline: view()",
+    };
+  }
+
+  it("hands the element to the native view timeline where supported", () => {
+    setViewTimelineSupport(true);
+    let visibleCalls = 0;
+    action = animate(element, {
+      animation: "fade-up",
+      engine: "view-timeline",
+      onVisible: () => visibleCalls++,
+    });
+
+    expect(element.getAttribute("data-rs-state-engine")).toBe("view-timeline");
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(element.classList.contains("is-visible")).toBe(false);
+    expect(element.style.getPropertyValue("will-change")).toBe("");
+    expect(visibleCalls).toBe(1);
+    expect(mockIntersectionObserver.getObserverFor(element)).toBeDefined();
+  });
+
+  it("does not track scroll in JS for native progress mode", () => {
+    setViewTimelineSupport(true);
+    action = animate(element, {
+      animation: "fade",
+      engine: "view-timeline",
+      mode: "progress",
+    });
+
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(element.style.getPropertyValue("--rs-progress")).toBe("");
+  });
+
+  it("falls back to class toggling without view timeline support", () => {
+    setViewTimelineSupport(false);
+    action = animate(element, { animation: "fade", engine: "view-timeline" });
+
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(element.hasAttribute("data-rs-state-engine")).toBe(false);
+    expect(element.classList.contains("is-visible")).toBe(true);
+  });
+
+  it("switches engines through update and restores on destroy", () => {
+    setViewTimelineSupport(true);
+    action = animate(element, { animation: "fade", repeat: true });
+    mockIntersectionObserver.trigger(element, true);
+
+    action.update({ animation: "fade", repeat: true, engine: "view-timeline" });
+    expect(element.getAttribute("data-rs-state-engine")).toBe("view-timeline");
+    expect(element.classList.contains("is-visible")).toBe(false);
+
+    action.update({ animation: "fade", repeat: true });
+    expect(element.hasAttribute("data-rs-state-engine")).toBe(false);
+    expect(element.classList.contains("is-visible")).toBe(true);
+
+    action.update({ animation: "fade", engine: "view-timeline" });
+    action.destroy();
+    expect(element.hasAttribute("data-rs-state-engine")).toBe(false);
+  });
+});
+
+describe("animate WAAPI engine", () => {
+  class FakeAnimation {
+    constructor(keyframes, timing) {
+      this.keyframes = keyframes;
+      this.timing = { ...timing };
+      this.currentTime = 0;
+      this.playbackRate = 1;
+      this.playState = "running";
+      this.effect = {
+        updateTiming: (timing) => Object.assign(this.timing, timing),
+        getComputedTiming: () => ({
+          endTime: this.timing.delay + this.timing.duration,
+        }),
+      };
+    }
+    pause() {
+      this.playState = "paused";
+    }
+    play() {
+      this.playState = "running";
+    }
+    finish() {
+      this.currentTime = this.effect.getComputedTiming().endTime;
+      this.playState = "finished";
+    }
+    cancel() {
+      this.playState = "idle";
+    }
+  }
+
+  beforeEach(() => {
+    element.animate = (keyframes, timing) =>
+      new FakeAnimation(keyframes, timing);
+  });
+
+  it("holds the hidden keyframe without the stylesheet class", () => {
+    action = animate(element, {
+      animation: "fade-up",
+      engine: "waapi",
+      duration: 600,
+    });
+
+    const webAnimation = action.animation;
+    expect(element.classList.contains("scroll-animate")).toBe(false);
+    expect(element.getAttribute("data-rs-state-engine")).toBe("waapi");
+    expect(webAnimation.playState).toBe("paused");
+    expect(webAnimation.currentTime).toBe(0);
+    expect(webAnimation.keyframes[0].transform).toContain(
+      "translate3d(0, 100px, 0)",
+    );
+    expect(webAnimation.timing).toMatchObject({
+      duration: 600,
+      delay: 0,
+      easing: "ease",
+      fill: "both",
+    });
+  });
+
+  it("plays on enter and reverses from its current time on exit", () => {
+    action = animate(element, {
+      animation: "zoom-in",
+      engine: "waapi",
+      repeat: true,
+    });
+    const webAnimation = action.animation;
+
+    mockIntersectionObserver.trigger(element, true);
+    expect(element.classList.contains("is-visible")).toBe(true);
+    expect(webAnimation.playState).toBe("running");
+    expect(webAnimation.playbackRate).toBe(1);
+
+    webAnimation.currentTime = 150;
+    mockIntersectionObserver.trigger(element, false);
+    expect(webAnimation.playState).toBe("running");
+    expect(webAnimation.playbackRate).toBe(-1);
+    expect(webAnimation.currentTime).toBe(150);
+  });
+
+  it("keeps the fixed easing of bounce-in", () => {
+    action = animate(element, {
+      animation: "bounce-in",
+      engine: "waapi",
+      easing: "linear",
+    });
+
+    expect(action.animation.timing.easing).toBe(
+      "cubic-bezier(0.68, -0.55, 0.265, 1.55)",
+    );
+  });
+
+  it("replays the Web Animation from its start", () => {
+    action = animate(element, { animation: "fade-up", engine: "waapi" });
+    mockIntersectionObserver.trigger(element, true);
+    action.animation.finish();
+
+    action.replay();
+
+    expect(action.animation.currentTime).toBe(0);
+    expect(action.animation.playState).toBe("running");
+    expect(element.classList.contains("is-visible")).toBe(true);
+  });
+
+  it("applies the transform overrides to the keyframes", () => {
+    action = animate(element, {
+      animation: "fade-up",
+      engine: "waapi",
+      distance: 20,
+      scale: 0.95,
+    });
+
+    expect(action.animation.keyframes[0].transform).toBe(
+      "translate3d(0, 20px, 0) scale(0.95) rotateX(0deg) rotateY(0deg) rotate(0deg)",
+    );
+
+    action.update({ animation: "fade-up", engine: "waapi", distance: 40 });
+    expect(action.animation.keyframes[0].transform).toContain(
+      "translate3d(0, 40px, 0) scale(1)",
+    );
+  });
+
+  it("falls back to class toggling without element.animate", () => {
+    delete element.animate;
+    action = animate(element, { animation: "fade", engine: "waapi" });
+
+    expect(action.animation).toBeUndefined();
+    expect(element.classList.contains("scroll-animate")).toBe(true);
+    expect(element.hasAttribute("data-rs-state-engine")).toBe(false);
+  });
+
+  it("rebuilds on update in the revealed state and cancels on destroy", () => {
+    action = animate(element, { animation: "fade", engine: "waapi" });
+    const first = action.animation;
+    mockIntersectionObserver.trigger(element, true);
+
+    action.update({ animation: "fade-left", engine: "waapi", duration: 800 });
+    const second = action.animation;
+    expect(first.playState).toBe("idle");
+    expect(second.playState).toBe("finished");
+    expect(second.currentTime).toBe(800);
+
+    action.update({ animation: "fade-left" });
+    expect(second.playState).toBe("idle");
+    expect(action.animation).toBeUndefined();
+    expect(element.classList.contains("scroll-animate")).toBe(true);
+
+    action.update({ animation: "fade-left", engine: "waapi" });
+    const third = action.animation;
+    action.destroy();
+    expect(third.playState).toBe("idle");
+    expect(element.classList.contains("scroll-animate")).toBe(false);
+    expect(element.hasAttribute("data-rs-state-engine")).toBe(false);
+  });
+});
+
 describe("animate update lifecycle (replacement semantics)", () => {
   it("applies zero duration and delay through update", () => {
     action = animate(element, {
@@ -463,6 +1707,28 @@ describe("animate cleanup", () => {
     expect(element.style.getPropertyValue("will-change")).toBe("");
   });
 
+  it("hints filter for filter animations", () => {
+    action = animate(element, { animation: "blur-up" });
+
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(element.style.getPropertyValue("will-change")).toBe(
+      "transform, opacity, filter",
+    );
+  });
+
+  it("hints clip-path for reveal animations", () => {
+    action = animate(element, { animation: "reveal-circle", repeat: true });
+
+    mockIntersectionObserver.trigger(element, true);
+    expect(element.style.getPropertyValue("will-change")).toBe("clip-path");
+
+    const endEvent = new window.Event("transitionend");
+    Object.defineProperty(endEvent, "propertyName", { value: "clip-path" });
+    element.dispatchEvent(endEvent);
+    expect(element.style.getPropertyValue("will-change")).toBe("");
+  });
+
   it("ignores bubbled child transitionend for will-change release", () => {
     action = animate(element, { animation: "fade", repeat: true });
     mockIntersectionObserver.trigger(element, true);
@@ -615,4 +1881,24 @@ describe("animate cleanup", () => {
     expect(typeof ssrAction.destroy).toBe("function");
     globalThis.window = browserWindow;
   });
+
+  it("returns the same inert handle during SSR and for an owned element", async () => {
+    const browserWindow = globalThis.window;
+    delete globalThis.window;
+    const ssrAction = animate(element, { animation: "fade" });
+    globalThis.window = browserWindow;
+
+    action = animate(element, { animation: "fade" });
+    const duplicate = animate(element, { animation: "zoom-in" });
+
+    for (const stub of [ssrAction, duplicate]) {
+      expect(Object.keys(stub).sort()).toEqual(Object.keys(ssrAction).sort());
+      expect(stub.state).toBe("pending");
+      for (const method of ["update", "show", "hide", "reset", "replay"]) {
+        expect(() => stub[method]()).not.toThrow();
+      }
+      await expect(stub.finished).resolves.toBeUndefined();
+    }
+    expect(element.getAttribute("data-animation")).toBe("fade");
+  });
 });
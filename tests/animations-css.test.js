@@ -55,6 +55,28 @@ describe("animations.css", () => {
     expect(css.includes("prefers-reduced-motion")).toBe(true);
   });
 
+  it("drives the native view-timeline engine behind a feature query", () => {
+    const supports = css.slice(
+      css.indexOf("@supports (animation-timeline: view())"),
+    );
+    expect(supports).toContain("animation-timeline: view()");
+    expect(css).toMatch(/@keyframes rs-view\s*\{/);
+  });
+
+  it("provides a view-timeline from-state for every fixed-transform animation", () => {
+    const fixedTransform = ANIMATION_TYPES.filter((name) =>
+      /^(slide-(up|down|left|right)|flip-(left|right|up|down)|bounce-in)$/.test(
+        name,
+      ),
+    );
+    expect(fixedTransform).toHaveLength(9);
+    for (const name of fixedTransform) {
+      expect(css).toContain(
+        `.scroll-animate[data-animation="${name}"][data-rs-state-engine="view-timeline"]`,
+      );
+    }
+  });
+
   const legacyAliases = [
     "fade-in",
     "fade-in-up",
@@ -65,6 +87,63 @@ describe("animations.css", () => {
     "flip-x",
   ];
 
+  it("times the exit state with the exit variables", () => {
+    const rule = css.match(
+      /\.scroll-animate\[data-animation\]\.is-exited \{([^}]*)\}/,
+    );
+
+    expect(rule).not.toBeNull();
+    expect(rule[1]).toContain("var(--exit-duration, var(--duration, 400ms))");
+    expect(rule[1]).toContain("var(--exit-delay, 0ms)");
+    expect(rule[1]).toContain("var(--exit-easing, var(--easing, ease))");
+  });
+
+  it("scopes the filter pipeline to the filter family", () => {
+    const base = css.match(/\.scroll-animate\[data-animation\] \{([^}]*)\}/);
+    expect(base[1]).not.toContain("filter");
+    for (const name of ["blur-in", "blur-up", "focus-in"]) {
+      expect(css).toContain(
+        `.scroll-animate[data-animation="${name}"].is-visible`,
+      );
+    }
+    expect(css).toContain("transition-property: opacity, transform, filter;");
+    const reducedMotion = css.slice(
+      css.indexOf("@media (prefers-reduced-motion"),
+    );
+    expect(reducedMotion).toContain("filter: none !important;");
+  });
+
+  it("reveals the clip-path family with clip-path transitions", () => {
+    for (const name of [
+      "reveal-up",
+      "reveal-left",
+      "reveal-circle",
+      "reveal-diagonal",
+    ]) {
+      expect(css).toContain(
+        `.scroll-animate[data-animation="${name}"].is-visible`,
+      );
+      expect(css).toContain(
+        `.scroll-animate[data-animation="${name}"][data-rs-state-mode="progress"] {`,
+      );
+    }
+    expect(css).toContain("transition-property: clip-path;");
+    const reducedMotion = css.slice(
+      css.indexOf("@media (prefers-reduced-motion"),
+    );
+    expect(reducedMotion).toContain("clip-path: none !important;");
+  });
+
+  it("draws strokes from the measured path length", () => {
+    expect(css).toContain("stroke-dasharray: var(--rs-path-length)");
+    expect(css).toMatch(
+      /\.is-visible \[data-rs-draw\] \{\s*stroke-dashoffset: 0;/,
+    );
+    expect(css).toContain(
+      "stroke-dashoffset: calc(var(--rs-path-length) * (1 - var(--rs-reveal)))",
+    );
+  });
+
   it("includes legacy aliases", () => {
     const cssNames = getAnimationNames(css);
     for (const alias of legacyAliases) {
@@ -1,5 +1,11 @@
 import { describe, it, expect } from "bun:test";
-import { calculateRootMargin } from "../src/lib/animations.js";
+import {
+  calculateRootMargin,
+  calculateScrollProgress,
+  calculateStaggerDelay,
+  getAxisSpan,
+  getScrollDirection,
+} from "../src/lib/animations.js";
 
 describe("calculateRootMargin", () => {
   it("calculates rootMargin from offset (0-100%)", () => {
@@ -23,3 +29,107 @@ describe("calculateRootMargin", () => {
     expect(calculateRootMargin(0, custom)).toBe(custom);
   });
 });
+
+describe("calculateStaggerDelay", () => {
+  it("adds no delay to an element entering alone", () => {
+    expect(calculateStaggerDelay(0, 1, 100)).toBe(0);
+  });
+
+  it("cascades from the start by default", () => {
+    expect([0, 1, 2].map((i) => calculateStaggerDelay(i, 3, 100))).toEqual([
+      0, 100, 200,
+    ]);
+  });
+
+  it("cascades from the end, the center or an index", () => {
+    expect(
+      [0, 1, 2].map((i) => calculateStaggerDelay(i, 3, { from: "end" })),
+    ).toEqual([200, 100, 0]);
+    expect(
+      [0, 1, 2, 3, 4].map((i) =>
+        calculateStaggerDelay(i, 5, { step: 50, from: "center" }),
+      ),
+    ).toEqual([100, 50, 0, 50, 100]);
+    expect(
+      [0, 1, 2, 3].map((i) =>
+        calculateStaggerDelay(i, 4, { step: 10, from: 1 }),
+      ),
+    ).toEqual([10, 0, 10, 20]);
+  });
+
+  it("caps the extra delay at max", () => {
+    expect(calculateStaggerDelay(9, 10, { step: 100, max: 300 })).toBe(300);
+  });
+});
+
+describe("calculateScrollProgress", () => {
+  const viewport = { top: 0, height: 800 };
+
+  it("runs from 0 at the bottom edge to 1 past the top edge", () => {
+    expect(calculateScrollProgress({ top: 800, height: 200 }, viewport)).toBe(
+      0,
+    );
+    expect(calculateScrollProgress({ top: 300, height: 200 }, viewport)).toBe(
+      0.5,
+    );
+    expect(calculateScrollProgress({ top: -200, height: 200 }, viewport)).toBe(
+      1,
+    );
+  });
+
+  it("clamps positions outside the viewport", () => {
+    expect(calculateScrollProgress({ top: 2000, height: 200 }, viewport)).toBe(
+      0,
+    );
+    expect(calculateScrollProgress({ top: -2000, height: 200 }, viewport)).toBe(
+      1,
+    );
+  });
+
+  it("measures against a scroll root offset from the viewport top", () => {
+    expect(
+      calculateScrollProgress(
+        { top: 350, height: 100 },
+        { top: 100, height: 400 },
+      ),
+    ).toBe(0.3);
+  });
+});
+
+describe("getScrollDirection", () => {
+  const viewport = { top: 0, height: 800 };
+
+  it("reads entries at the bottom edge and exits at the top edge as down", () => {
+    expect(getScrollDirection({ top: 780, height: 200 }, viewport, true)).toBe(
+      "down",
+    );
+    expect(
+      getScrollDirection({ top: -180, height: 200 }, viewport, false),
+    ).toBe("down");
+  });
+
+  it("reads entries at the top edge and exits at the bottom edge as up", () => {
+    expect(getScrollDirection({ top: -180, height: 200 }, viewport, true)).toBe(
+      "up",
+    );
+    expect(getScrollDirection({ top: 780, height: 200 }, viewport, false)).toBe(
+      "up",
+    );
+  });
+});
+
+describe("getAxisSpan", () => {
+  const rect = { top: 10, left: 200, width: 120, height: 80 };
+
+  it("keeps the vertical span by default", () => {
+    expect(getAxisSpan(rect)).toEqual({ top: 10, height: 80 });
+  });
+
+  it("projects the horizontal span for axis x", () => {
+    expect(getAxisSpan(rect, "x")).toEqual({ top: 200, height: 120 });
+  });
+
+  it("mirrors the horizontal span right to left", () => {
+    expect(getAxisSpan(rect, "x", true)).toEqual({ top: -320, height: 120 });
+  });
+});
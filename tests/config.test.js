@@ -0,0 +1,65 @@
+import { afterEach, describe, expect, it } from "bun:test";
+import {
+  configure,
+  getDefaults,
+  isEnabled,
+  onEnabledChange,
+  setEnabled,
+  withDefaults,
+} from "../src/lib/config.js";
+
+afterEach(() => {
+  configure({});
+  setEnabled(true);
+});
+
+describe("configure", () => {
+  it("merges the defaults under call options", () => {
+    configure({ duration: 600, easing: "ease-out", offset: 80 });
+
+    expect(withDefaults({ duration: 300, animation: "fade-up" })).toEqual({
+      duration: 300,
+      easing: "ease-out",
+      offset: 80,
+      animation: "fade-up",
+    });
+  });
+
+  it("treats undefined call options as absent", () => {
+    configure({ duration: 600 });
+
+    expect(withDefaults({ duration: undefined })).toEqual({ duration: 600 });
+  });
+
+  it("replaces the previous defaults", () => {
+    configure({ duration: 600, offset: 80 });
+    configure({ easing: "linear" });
+
+    expect(getDefaults()).toEqual({ easing: "linear" });
+  });
+
+  it("keeps its own copy of the defaults", () => {
+    const options = { duration: 600 };
+    configure(options);
+    options.duration = 100;
+    getDefaults().duration = 200;
+
+    expect(getDefaults()).toEqual({ duration: 600 });
+  });
+});
+
+describe("setEnabled", () => {
+  it("notifies listeners of changes only", () => {
+    const changes = [];
+    const stop = onEnabledChange((enabled) => changes.push(enabled));
+
+    setEnabled(false);
+    setEnabled(false);
+    expect(isEnabled()).toBe(false);
+    setEnabled(true);
+    stop();
+    setEnabled(false);
+
+    expect(changes).toEqual([false, true]);
+  });
+});
@@ -0,0 +1,186 @@
+import { afterEach, beforeEach, describe, expect, it } from "bun:test";
+import { Window } from "happy-dom";
+import { animate } from "../src/lib/animate.js";
+import {
+  createCounter,
+  cubicBezier,
+  parseCount,
+  resolveEasing,
+} from "../src/lib/count-up.js";
+import { mockIntersectionObserver } from "./__mocks__/IntersectionObserver.js";
+
+let window;
+let document;
+let element;
+let action;
+let frames;
+let now;
+
+// Frames and timers run on demand so counts can be stepped through.
+function runFrames(time) {
+  now = time;
+  const pending = frames;
+  frames = [];
+  for (const callback of pending) callback(now);
+}
+
+beforeEach(() => {
+  window = new Window();
+  document = window.document;
+  globalThis.window = window;
+  globalThis.document = document;
+  globalThis.getComputedStyle = () => ({
+    transitionProperty: "opacity, transform",
+  });
+  frames = [];
+  now = 0;
+  window.requestAnimationFrame = (callback) => frames.push(callback);
+  window.cancelAnimationFrame = () => {};
+  window.setTimeout = (callback) => {
+    callback();
+    return 1;
+  };
+  window.clearTimeout = () => {};
+  mockIntersectionObserver.install();
+
+  element = document.createElement("p");
+  document.body.appendChild(element);
+});
+
+afterEach(() => {
+  action?.destroy();
+  action = undefined;
+  mockIntersectionObserver.reset();
+  mockIntersectionObserver.uninstall();
+  delete globalThis.window;
+  delete globalThis.document;
+  delete globalThis.getComputedStyle;
+});
+
+describe("parseCount", () => {
+  it("reads the number, its decimals and the text around it", () => {
+    expect(parseCount("$1,250.50k")).toEqual({
+      value: 1250.5,
+      decimals: 2,
+      grouped: true,
+      prefix: "$",
+      suffix: "k",
+    });
+    expect(parseCount("No numbers")).toBeUndefined();
+  });
+
+  it("leaves a comma that does not group digits in the text", () => {
+    expect(parseCount("In 2024, 500 people")).toEqual({
+      value: 2024,
+      decimals: 0,
+      grouped: false,
+      prefix: "In ",
+      suffix: ", 500 people",
+    });
+  });
+});
+
+describe("resolveEasing", () => {
+  it("maps CSS keywords and cubic-bezier() onto timing functions", () => {
+    expect(resolveEasing("linear")(0.3)).toBe(0.3);
+    expect(resolveEasing("ease-out")(0.5)).toBeGreaterThan(0.5);
+    expect(resolveEasing("cubic-bezier(0, 0, 1, 1)")(0.25)).toBeCloseTo(
+      0.25,
+      4,
+    );
+    expect(cubicBezier(0.42, 0, 1, 1)(1)).toBe(1);
+  });
+});
+
+describe("createCounter", () => {
+  it("counts up and puts the authored text back at the end", () => {
+    element.innerHTML = "<strong>10,000</strong>+ customers";
+    const counter = createCounter(element, {
+      duration: 1000,
+      easing: "linear",
+    });
+
+    counter.reset();
+    expect(element.textContent).toBe("0+ customers");
+
+    counter.start();
+    runFrames(0);
+    runFrames(500);
+    expect(element.textContent).toBe("5,000+ customers");
+
+    runFrames(1000);
+    expect(element.innerHTML).toBe("<strong>10,000</strong>+ customers");
+  });
+
+  it("formats an explicit target with locale, prefix, suffix and decimals", () => {
+    const counter = createCounter(element, {
+      to: 1234.5,
+      locale: "de-DE",
+      prefix: "€ ",
+      suffix: " / Monat",
+      decimals: 2,
+    });
+
+    counter.seek(0.5);
+    expect(element.textContent).toBe("€ 617,25 / Monat");
+
+    counter.finish();
+    expect(element.textContent).toBe("€ 1.234,50 / Monat");
+  });
+});
+
+describe("animate countUp", () => {
+  it("counts when revealed, after the reveal delay", () => {
+    element.textContent = "2024";
+    action = animate(element, {
+      animation: "fade",
+      countUp: { duration: 100, easing: "linear" },
+    });
+    expect(element.textContent).toBe("0");
+
+    mockIntersectionObserver.trigger(element, true);
+    runFrames(0);
+    runFrames(50);
+    expect(element.textContent).toBe("1012");
+
+    runFrames(100);
+    expect(element.textContent).toBe("2024");
+  });
+
+  it("jumps to the final value with reduced motion", () => {
+    window.matchMedia = () => ({ matches: true });
+    element.textContent = "98%";
+    action = animate(element, { animation: "fade", countUp: true });
+
+    mockIntersectionObserver.trigger(element, true);
+
+    expect(element.textContent).toBe("98%");
+  });
+
+  it("restores the final text on destroy", () => {
+    element.textContent = "500 users";
+    action = animate(element, { animation: "fade", countUp: true });
+    mockIntersectionObserver.trigger(element, true);
+    runFrames(0);
+    runFrames(10);
+
+    action.destroy();
+
+    expect(element.textContent).toBe("500 users");
+  });
+
+  it("resets on leave in repeat mode", () => {
+    element.textContent = "42";
+    action = animate(element, {
+      animation: "fade",
+      repeat: true,
+      countUp: { duration: 0 },
+    });
+
+    mockIntersectionObserver.trigger(element, true);
+    expect(element.textContent).toBe("42");
+
+    mockIntersectionObserver.trigger(element, false);
+    expect(element.textContent).toBe("0");
+  });
+});
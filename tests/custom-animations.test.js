@@ -0,0 +1,148 @@
+import { afterEach, beforeEach, describe, expect, it, spyOn } from "bun:test";
+import { Window } from "happy-dom";
+import { animate } from "../src/lib/animate.js";
+import {
+  createAnimationCSS,
+  getCustomAnimation,
+  registerAnimation,
+} from "../src/lib/custom-animations.js";
+import { mockIntersectionObserver } from "./__mocks__/IntersectionObserver.js";
+
+let window;
+let document;
+let element;
+let action;
+
+function injectedCSS() {
+  return document.head.querySelector("style[data-rune-scroller]")?.textContent;
+}
+
+beforeEach(() => {
+  window = new Window();
+  document = window.document;
+  globalThis.window = window;
+  globalThis.document = document;
+  globalThis.getComputedStyle = () => ({
+    transitionProperty: "opacity, transform",
+  });
+  mockIntersectionObserver.install();
+
+  element = document.createElement("div");
+  document.body.appendChild(element);
+});
+
+afterEach(() => {
+  action?.destroy();
+  action = undefined;
+  mockIntersectionObserver.reset();
+  mockIntersectionObserver.uninstall();
+  delete globalThis.window;
+  delete globalThis.document;
+  delete globalThis.getComputedStyle;
+});
+
+describe("createAnimationCSS", () => {
+  it("maps the hidden state onto the stylesheet variables with default units", () => {
+    const css = createAnimationCSS("skew-in", {
+      from: { tx: -40, ty: "2rem", scale: 0.9, rotate: 8, opacity: 0.2 },
+    });
+
+    expect(css).toBe(
+      '.scroll-animate[data-animation][data-animation="skew-in"]' +
+        "{--tx:-40px;--ty:2rem;--scale:0.9;--rotate:8deg;opacity:0.2}",
+    );
+  });
+
+  it("opts into the filter pipeline only when filter variables are set", () => {
+    const css = createAnimationCSS("soft-in", { from: { blur: 6, ty: 20 } });
+
+    expect(css).toContain("--blur:6px");
+    expect(css).toContain(
+      "filter:blur(var(--blur,0px)) grayscale(var(--grayscale,0)) brightness(var(--brightness,1))",
+    );
+    expect(css).toContain(
+      '.scroll-animate[data-animation][data-animation="soft-in"].is-visible{filter:none}',
+    );
+    expect(createAnimationCSS("rise", { from: { ty: 20 } })).not.toContain(
+      "filter",
+    );
+  });
+
+  it("emits keyframes played when the element becomes visible", () => {
+    const css = createAnimationCSS("blur-pop", {
+      keyframes: [
+        { opacity: 0, filter: "blur(8px)" },
+        { offset: 0.6, easing: "ease-out", filter: "blur(2px)" },
+        { opacity: 1, filter: "blur(0)" },
+      ],
+    });
+
+    expect(css).toContain(
+      "@keyframes rs-custom-blur-pop{0%{opacity:0;filter:blur(8px)}" +
+        "60%{filter:blur(2px);animation-timing-function:ease-out}" +
+        "100%{opacity:1;filter:blur(0)}}",
+    );
+    expect(css).toContain(
+      '[data-animation="blur-pop"].is-visible{animation:rs-custom-blur-pop',
+    );
+  });
+});
+
+describe("registerAnimation", () => {
+  it("injects the rules once and replaces them on re-register", () => {
+    registerAnimation("tilt-in", { from: { rotate: 10 } });
+    registerAnimation("tilt-in", { from: { rotate: -10 } });
+
+    const css = injectedCSS();
+    expect(css).toContain("--rotate:-10deg");
+    expect(css).not.toContain("--rotate:10deg");
+    expect(
+      document.head.querySelectorAll("style[data-rune-scroller]"),
+    ).toHaveLength(1);
+  });
+
+  it("keeps its own copy of the definition", () => {
+    const definition = { from: { ty: 20 } };
+    registerAnimation("rise-copy", definition);
+    definition.from.ty = 80;
+
+    expect(getCustomAnimation("rise-copy").from.ty).toBe(20);
+  });
+
+  it("refuses built-in and malformed names", () => {
+    const warn = spyOn(console, "warn").mockImplementation(() => {});
+
+    registerAnimation("fade-up", { from: { ty: 100 } });
+    registerAnimation("Skew In", { from: { tx: 10 } });
+
+    expect(getCustomAnimation("fade-up")).toBeUndefined();
+    expect(getCustomAnimation("Skew In")).toBeUndefined();
+    expect(warn).toHaveBeenCalledTimes(2);
+    expect(warn.mock.calls[0][0]).toContain("built-in");
+    warn.mockRestore();
+  });
+
+  it("makes the name valid for animate", () => {
+    const warn = spyOn(console, "warn").mockImplementation(() => {});
+    registerAnimation("skew-in", { from: { tx: -30, rotate: -4 } });
+
+    action = animate(element, { animation: "skew-in" });
+
+    expect(element.getAttribute("data-animation")).toBe("skew-in");
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it("injects registered rules into a document created later", () => {
+    registerAnimation("late-doc", { from: { scale: 0.5 } });
+    const fresh = new Window().document;
+    globalThis.document = fresh;
+    document = fresh;
+    element = fresh.createElement("div");
+    fresh.body.appendChild(element);
+
+    action = animate(element, { animation: "late-doc" });
+
+    expect(injectedCSS()).toContain('[data-animation="late-doc"]');
+  });
+});
@@ -0,0 +1,231 @@
+import { afterEach, beforeEach, describe, expect, it, spyOn } from "bun:test";
+import { Window } from "happy-dom";
+import { animate } from "../src/lib/animate.js";
+import { configure } from "../src/lib/config.js";
+import { mountDevtools } from "../src/lib/devtools.js";
+import { mockIntersectionObserver } from "./__mocks__/IntersectionObserver.js";
+
+let window;
+let document;
+let handles;
+let devtools;
+
+/**
+ * @param {string} id
+ * @param {Record<string, unknown>} [options]
+ */
+function animated(id, options = {}) {
+  const element = document.createElement("div");
+  element.id = id;
+  document.body.appendChild(element);
+  const handle = animate(element, { animation: "fade-up", ...options });
+  handles.push(handle);
+  return { element, handle };
+}
+
+function rows() {
+  return [...document.querySelectorAll("[data-rs-devtools-row]")];
+}
+
+beforeEach(() => {
+  window = new Window();
+  document = window.document;
+  globalThis.window = window;
+  globalThis.document = document;
+  globalThis.getComputedStyle = () => ({
+    transitionProperty: "opacity, transform",
+  });
+  mockIntersectionObserver.install();
+  handles = [];
+});
+
+afterEach(() => {
+  devtools?.destroy();
+  devtools = undefined;
+  for (const handle of handles) handle.destroy();
+  configure({});
+  mockIntersectionObserver.reset();
+  mockIntersectionObserver.uninstall();
+  delete globalThis.window;
+  delete globalThis.document;
+  delete globalThis.getComputedStyle;
+});
+
+describe("mountDevtools", () => {
+  it("lists active animations and counts shared observers", () => {
+    animated("hero");
+    animated("intro");
+    animated("footer", { animation: "zoom-in", offset: 80 });
+
+    devtools = mountDevtools();
+
+    expect(devtools.element?.hasAttribute("data-rs-devtools")).toBe(true);
+    expect(
+      document.querySelector("[data-rs-devtools-summary]")?.textContent,
+    ).toBe("3 animations · 2 observers (1 shared)");
+    const texts = rows().map((row) => row.textContent);
+    expect(texts[0]).toContain("div#hero fade-up");
+    expect(texts[0]).toContain("pending");
+    expect(texts[0]).toContain("offset 0px");
+    expect(texts[2]).toContain("div#footer zoom-in");
+    expect(texts[2]).toContain("offset 80px");
+  });
+
+  it("labels rows with the animation actually applied", () => {
+    animated("hero", { animation: { down: "zoom-in", up: "fade-down" } });
+    animated("intro", { animation: "not-an-animation" });
+
+    devtools = mountDevtools();
+
+    const texts = rows().map((row) => row.textContent);
+    expect(texts[0]).toContain("div#hero zoom-in");
+    expect(texts[1]).toContain("div#intro fade-in");
+  });
+
+  it("follows state changes and destroyed animations on refresh", () => {
+    const { element } = animated("hero");
+    const { handle } = animated("intro");
+    devtools = mountDevtools();
+
+    mockIntersectionObserver.trigger(element, true);
+    handle.destroy();
+    devtools.refresh();
+
+    expect(rows()).toHaveLength(1);
+    expect(rows()[0].textContent).toContain("visible");
+  });
+
+  it("draws one trigger line per observer on the moved root edge", () => {
+    animated("hero", { offset: -100 });
+    animated("intro", { offset: -100 });
+    animated("footer", { offset: 80 });
+
+    devtools = mountDevtools();
+
+    const lines = [...document.querySelectorAll("[data-rs-devtools-line]")];
+    expect(lines).toHaveLength(2);
+    expect(lines[0].style.top).toBe(`${window.innerHeight - 100}px`);
+    expect(lines[0].textContent).toBe("0px 0px -100px 0px · 2 targets");
+    // Lines past the viewport are pinned to its edge.
+    expect(lines[1].style.top).toBe(`${window.innerHeight - 2}px`);
+    expect(lines[1].textContent).toBe(
+      "0px 0px 80px 0px · 1 target · 82px off-screen",
+    );
+  });
+
+  it("resolves percentage root margins against the root size", () => {
+    animated("hero", { rootMargin: "0px 0px -25% 0px" });
+
+    devtools = mountDevtools();
+
+    const line = document.querySelector("[data-rs-devtools-line]");
+    expect(line?.style.top).toBe(`${window.innerHeight * 0.75}px`);
+    expect(rows()[0].textContent).toContain("rootMargin 0px 0px -25% 0px");
+  });
+
+  it("replays an animation from its row", () => {
+    const { handle } = animated("hero");
+    const replay = spyOn(handle, "replay");
+    devtools = mountDevtools();
+
+    rows()[0].querySelector("[data-rs-devtools-replay]")?.click();
+
+    expect(replay).toHaveBeenCalledTimes(1);
+  });
+
+  it("highlights the element of a hovered row", () => {
+    const { element } = animated("hero");
+    element.getBoundingClientRect = () =>
+      /** @type {DOMRect} */ ({ top: 40, left: 10, width: 200, height: 120 });
+    devtools = mountDevtools();
+    const highlight = /** @type {HTMLElement} */ (
+      document.querySelector("[data-rs-devtools-highlight]")
+    );
+
+    rows()[0].dispatchEvent(new window.Event("mouseenter"));
+    expect(highlight.style.display).toBe("block");
+    expect(highlight.style.top).toBe("40px");
+    expect(highlight.style.width).toBe("200px");
+
+    rows()[0].dispatchEvent(new window.Event("mouseleave"));
+    expect(highlight.style.display).toBe("none");
+  });
+
+  it("toggles debug sentinels on the animations that had none", () => {
+    const { element: hero } = animated("hero");
+    const { element: intro } = animated("intro", { debug: true });
+    devtools = mountDevtools();
+    const toggle = /** @type {HTMLInputElement} */ (
+      document.querySelector("[data-rs-devtools-debug]")
+    );
+
+    toggle.checked = true;
+    toggle.dispatchEvent(new window.Event("change"));
+    expect(hero.querySelector("[data-sentinel-debug]")).not.toBeNull();
+
+    toggle.checked = false;
+    toggle.dispatchEvent(new window.Event("change"));
+    expect(hero.querySelector("[data-sentinel-debug]")).toBeNull();
+    expect(intro.querySelector("[data-sentinel-debug]")).not.toBeNull();
+  });
+
+  it("keeps global defaults applying to the debugged animations", () => {
+    const { element } = animated("hero");
+    devtools = mountDevtools();
+    const toggle = /** @type {HTMLInputElement} */ (
+      document.querySelector("[data-rs-devtools-debug]")
+    );
+    /** @param {boolean} checked */
+    function setDebug(checked) {
+      toggle.checked = checked;
+      toggle.dispatchEvent(new window.Event("change"));
+    }
+
+    configure({ duration: 600 });
+    setDebug(true);
+    setDebug(false);
+    configure({ duration: 300 });
+    setDebug(true);
+
+    expect(element.style.getPropertyValue("--duration")).toBe("300ms");
+  });
+
+  it("turns debug sentinels off and removes itself on destroy", () => {
+    const { element } = animated("hero");
+    devtools = mountDevtools();
+    const toggle = /** @type {HTMLInputElement} */ (
+      document.querySelector("[data-rs-devtools-debug]")
+    );
+    toggle.checked = true;
+    toggle.dispatchEvent(new window.Event("change"));
+
+    devtools.destroy();
+
+    expect(element.querySelector("[data-sentinel-debug]")).toBeNull();
+    expect(document.querySelector("[data-rs-devtools]")).toBeNull();
+    expect(document.querySelector("[data-rs-devtools-overlay]")).toBeNull();
+  });
+
+  it("returns the mounted panel until it is destroyed", () => {
+    devtools = mountDevtools();
+    expect(mountDevtools({ position: "top-left" })).toBe(devtools);
+
+    devtools.destroy();
+    devtools = mountDevtools({ position: "top-left" });
+    expect(devtools.element?.style.top).toBe("12px");
+    expect(document.querySelectorAll("[data-rs-devtools]")).toHaveLength(1);
+  });
+
+  it("returns an inert handle without a DOM", () => {
+    delete globalThis.window;
+    delete globalThis.document;
+
+    const stub = mountDevtools();
+
+    expect(stub.element).toBeNull();
+    expect(() => {
+      stub.refresh();
+      stub.destroy();
+    }).not.toThrow();
+  });
+});
@@ -233,6 +233,42 @@ describe("DOM Utilities", () => {
       expect(sentinel.textContent).toBe("test-id");
     });
 
+    it("draws a vertical sentinel at the inline-end offset for axis x", () => {
+      Object.defineProperty(testElement, "offsetWidth", { value: 300 });
+      const { element: sentinel } = createSentinel(
+        testElement,
+        true,
+        40,
+        "#00e0ff",
+        "",
+        "x-id",
+        "x",
+      );
+
+      expect(sentinel.style.left).toBe("260px");
+      expect(sentinel.style.top).toBe("0px");
+      expect(sentinel.style.width).toBe("3px");
+      expect(sentinel.style.height).toBe("100%");
+    });
+
+    it("mirrors a horizontal sentinel for right-to-left layouts", () => {
+      Object.defineProperty(testElement, "offsetWidth", { value: 300 });
+      const { element: sentinel } = createSentinel(
+        testElement,
+        false,
+        40,
+        "#00e0ff",
+        "",
+        "rtl-id",
+        "x",
+        true,
+      );
+
+      expect(sentinel.style.right).toBe("260px");
+      expect(sentinel.style.left).toBe("");
+      expect(sentinel.style.width).toBe("1px");
+    });
+
     it("generates auto-ID when not provided", () => {
       const { element: sentinel1 } = createSentinel(testElement);
       const { element: sentinel2 } = createSentinel(testElement);
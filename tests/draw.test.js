@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, it } from "bun:test";
+import { Window } from "happy-dom";
+import { animate } from "../src/lib/animate.js";
+import { isDrawAnimation, prepareDrawing } from "../src/lib/draw.js";
+import { mockIntersectionObserver } from "./__mocks__/IntersectionObserver.js";
+
+let window;
+let document;
+let element;
+let action;
+
+const SVG = "http://www.w3.org/2000/svg";
+
+function createShape(tag, length) {
+  const shape = document.createElementNS(SVG, tag);
+  shape.getTotalLength = () => length;
+  return shape;
+}
+
+beforeEach(() => {
+  window = new Window();
+  document = window.document;
+  globalThis.window = window;
+  globalThis.document = document;
+  globalThis.getComputedStyle = () => ({
+    transitionProperty: "opacity, transform",
+  });
+  mockIntersectionObserver.install();
+
+  element = document.createElement("div");
+  const svg = document.createElementNS(SVG, "svg");
+  svg.append(
+    createShape("path", 120.4),
+    createShape("line", 80),
+    createShape("polyline", 0),
+  );
+  element.appendChild(svg);
+  document.body.appendChild(element);
+});
+
+afterEach(() => {
+  action?.destroy();
+  action = undefined;
+  mockIntersectionObserver.reset();
+  mockIntersectionObserver.uninstall();
+  delete globalThis.window;
+  delete globalThis.document;
+  delete globalThis.getComputedStyle;
+});
+
+describe("prepareDrawing", () => {
+  it("marks measurable shapes with their rounded-up length", () => {
+    const { shapes } = prepareDrawing(element);
+
+    expect(shapes.map((shape) => shape.tagName)).toEqual(["path", "line"]);
+    expect(shapes[0].hasAttribute("data-rs-draw")).toBe(true);
+    expect(shapes[0].style.getPropertyValue("--rs-path-length")).toBe("121px");
+    expect(element.querySelector("polyline").hasAttribute("data-rs-draw")).toBe(
+      false,
+    );
+  });
+
+  it("staggers the shapes in document order", () => {
+    const { shapes } = prepareDrawing(element, 200);
+
+    expect(
+      shapes.map((shape) => shape.style.getPropertyValue("--rs-draw-delay")),
+    ).toEqual(["0ms", "200ms"]);
+  });
+
+  it("restores the shapes' own values", () => {
+    const path = element.querySelector("path");
+    path.style.setProperty("--rs-draw-delay", "50ms");
+
+    prepareDrawing(element, 100).restore();
+
+    expect(path.hasAttribute("data-rs-draw")).toBe(false);
+    expect(path.style.getPropertyValue("--rs-path-length")).toBe("");
+    expect(path.style.getPropertyValue("--rs-draw-delay")).toBe("50ms");
+  });
+});
+
+describe("animate draw", () => {
+  it("prepares the shapes for draw animations only", () => {
+    expect(isDrawAnimation("draw-reverse")).toBe(true);
+    expect(isDrawAnimation("fade")).toBe(false);
+
+    action = animate(element, { animation: "draw", drawStagger: 100 });
+    const path = element.querySelector("path");
+    expect(path.hasAttribute("data-rs-draw")).toBe(true);
+    expect(
+      element.querySelector("line").style.getPropertyValue("--rs-draw-delay"),
+    ).toBe("100ms");
+
+    action.update({ animation: "fade" });
+    expect(path.hasAttribute("data-rs-draw")).toBe(false);
+  });
+
+  it("draws through the stylesheet under the WAAPI engine", () => {
+    element.animate = () => {
+      throw new Error("draw should not use element.animate()");
+    };
+
+    action = animate(element, { animation: "draw", engine: "waapi" });
+
+    expect(element.classList.contains("scroll-animate")).toBe(true);
+    expect(action.animation).toBeUndefined();
+  });
+
+  it("releases the shapes on destroy", () => {
+    action = animate(element, { animation: "draw-reverse" });
+    mockIntersectionObserver.trigger(element, true);
+
+    action.destroy();
+
+    expect(element.querySelector("[data-rs-draw]")).toBeNull();
+    expect(
+      element.querySelector("path").style.getPropertyValue("--rs-path-length"),
+    ).toBe("");
+  });
+});
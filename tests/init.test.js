@@ -0,0 +1,192 @@
+import { afterEach, beforeEach, describe, expect, it } from "bun:test";
+import { Window } from "happy-dom";
+import { configure } from "../src/lib/config.js";
+import { init, readAttributeOptions } from "../src/lib/init.js";
+import { mockIntersectionObserver } from "./__mocks__/IntersectionObserver.js";
+
+let window;
+let document;
+let instance;
+
+beforeEach(() => {
+  window = new Window();
+  document = window.document;
+  globalThis.window = window;
+  globalThis.document = document;
+  globalThis.getComputedStyle = () => ({
+    transitionProperty: "opacity, transform",
+  });
+  mockIntersectionObserver.install();
+});
+
+afterEach(() => {
+  instance?.destroy();
+  instance = undefined;
+  mockIntersectionObserver.reset();
+  mockIntersectionObserver.uninstall();
+  delete globalThis.window;
+  delete globalThis.document;
+  delete globalThis.getComputedStyle;
+});
+
+describe("readAttributeOptions", () => {
+  it("maps data-rs attributes onto animate options", () => {
+    const element = document.createElement("div");
+    element.setAttribute("data-rs", "fade-up");
+    element.setAttribute("data-rs-duration", "600");
+    element.setAttribute("data-rs-delay", "150");
+    element.setAttribute("data-rs-easing", "ease-out");
+    element.setAttribute("data-rs-offset", "80");
+    element.setAttribute("data-rs-threshold", "0, 0.5");
+    element.setAttribute("data-rs-repeat", "");
+
+    expect(readAttributeOptions(element)).toEqual({
+      animation: "fade-up",
+      duration: 600,
+      delay: 150,
+      easing: "ease-out",
+      offset: 80,
+      threshold: [0, 0.5],
+      repeat: true,
+    });
+  });
+
+  it("ignores malformed numbers and explicit false flags", () => {
+    const element = document.createElement("div");
+    element.setAttribute("data-rs", "");
+    element.setAttribute("data-rs-duration", "slow");
+    element.setAttribute("data-rs-delay", "");
+    element.setAttribute("data-rs-repeat", "false");
+
+    expect(readAttributeOptions(element)).toEqual({ repeat: false });
+  });
+
+  it("keeps units on dimension attributes and numbers without them", () => {
+    const element = document.createElement("div");
+    element.setAttribute("data-rs-distance", "20");
+    element.setAttribute("data-rs-rotate", "0.25turn");
+    element.setAttribute("data-rs-perspective", "60rem");
+    element.setAttribute("data-rs-scale", "0.95");
+
+    expect(readAttributeOptions(element)).toEqual({
+      distance: 20,
+      rotate: "0.25turn",
+      perspective: "60rem",
+      scale: 0.95,
+    });
+  });
+});
+
+describe("init", () => {
+  it("animates every data-rs element in the document", () => {
+    document.body.innerHTML = `
+      <h1 data-rs="fade-down" data-rs-duration="800">Title</h1>
+      <p data-rs>Body</p>
+      <footer>Untouched</footer>
+    `;
+
+    instance = init();
+
+    const [title, body] = instance.elements;
+    expect(instance.elements).toHaveLength(2);
+    expect(title.getAttribute("data-animation")).toBe("fade-down");
+    expect(title.style.getPropertyValue("--duration")).toBe("800ms");
+    expect(body.getAttribute("data-animation")).toBe("fade-in");
+    expect(document.querySelector("footer").classList).not.toContain(
+      "scroll-animate",
+    );
+  });
+
+  it("uses init options as defaults under the attributes", () => {
+    document.body.innerHTML = `
+      <div id="a" data-rs="fade"></div>
+      <div id="b" data-rs="fade" data-rs-duration="200"></div>
+    `;
+
+    instance = init({ duration: 600, easing: "linear" });
+
+    const a = document.getElementById("a");
+    const b = document.getElementById("b");
+    expect(a.style.getPropertyValue("--duration")).toBe("600ms");
+    expect(b.style.getPropertyValue("--duration")).toBe("200ms");
+    expect(b.style.getPropertyValue("--easing")).toBe("linear");
+  });
+
+  it("limits the scan to a scope", () => {
+    document.body.innerHTML = `
+      <section id="scope"><div data-rs="fade"></div></section>
+      <div id="outside" data-rs="fade"></div>
+    `;
+
+    instance = init({ scope: document.getElementById("scope") });
+
+    expect(instance.elements).toHaveLength(1);
+    expect(
+      document.getElementById("outside").classList.contains("scroll-animate"),
+    ).toBe(false);
+  });
+
+  it("binds new markup, re-reads attributes and releases removed elements on refresh", () => {
+    document.body.innerHTML = `
+      <div id="kept" data-rs="fade"></div>
+      <div id="removed" data-rs="fade"></div>
+    `;
+    instance = init();
+    const kept = document.getElementById("kept");
+    const removed = document.getElementById("removed");
+
+    removed.remove();
+    kept.setAttribute("data-rs", "zoom-in");
+    const added = document.createElement("div");
+    added.setAttribute("data-rs", "fade-up");
+    document.body.appendChild(added);
+    instance.refresh();
+
+    expect(instance.elements).toEqual([kept, added]);
+    expect(kept.getAttribute("data-animation")).toBe("zoom-in");
+    expect(added.getAttribute("data-animation")).toBe("fade-up");
+    expect(removed.classList.contains("scroll-animate")).toBe(false);
+    expect(mockIntersectionObserver.getObserverFor(removed)).toBeUndefined();
+  });
+
+  it("does not read the state attributes animate writes back as options", () => {
+    document.body.innerHTML = `<div data-rs="fade-up"></div>`;
+    configure({ mode: "progress", engine: "view-timeline" });
+    instance = init();
+    const element = document.querySelector("[data-rs]");
+    expect(element.getAttribute("data-rs-state-mode")).toBe("progress");
+
+    configure({});
+    instance.refresh();
+
+    expect(element.hasAttribute("data-rs-state-mode")).toBe(false);
+    expect(element.hasAttribute("data-rs-state-engine")).toBe(false);
+    expect(readAttributeOptions(element)).toEqual({ animation: "fade-up" });
+  });
+
+  it("stops splitting when the author removes data-rs-split", () => {
+    document.body.innerHTML = `<p data-rs="fade-up" data-rs-split="words">Hello world</p>`;
+    instance = init();
+    const element = document.querySelector("[data-rs]");
+    expect(element.getAttribute("data-rs-state-split")).toBe("words");
+
+    element.removeAttribute("data-rs-split");
+    instance.refresh();
+
+    expect(element.hasAttribute("data-rs-state-split")).toBe(false);
+    expect(element.textContent).toBe("Hello world");
+  });
+
+  it("restores every element on destroy", () => {
+    document.body.innerHTML = `<div data-rs="fade-up"></div>`;
+    instance = init();
+    const element = document.querySelector("[data-rs]");
+
+    instance.destroy();
+    instance.refresh();
+
+    expect(element.hasAttribute("data-animation")).toBe(false);
+    expect(element.getAttribute("data-rs")).toBe("fade-up");
+    expect(mockIntersectionObserver.getAll()).toHaveLength(0);
+  });
+});
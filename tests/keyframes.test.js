@@ -0,0 +1,122 @@
+import { describe, expect, it } from "bun:test";
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { ANIMATION_TYPES } from "../src/lib/animations.js";
+import { DRAW_ANIMATIONS } from "../src/lib/draw.js";
+import { createKeyframes, getBuiltInDefinition } from "../src/lib/keyframes.js";
+
+// The draw family animates SVG strokes and has no element keyframes.
+const ELEMENT_ANIMATIONS = ANIMATION_TYPES.filter(
+  (name) => !DRAW_ANIMATIONS.includes(name),
+);
+
+const css = readFileSync(
+  resolve(import.meta.dirname, "../src/lib/animations.css"),
+  "utf-8",
+);
+
+/** Custom properties declared by the base rules of one animation. */
+function getCSSVariables(name) {
+  const rules = css.matchAll(
+    new RegExp(
+      `\\.scroll-animate\\[data-animation="${name}"\\] \\{([^}]*)\\}`,
+      "g",
+    ),
+  );
+  const variables = {};
+  for (const [, body] of rules) {
+    for (const [, property, value] of body.matchAll(
+      /(--[a-z-]+):\s*([^;]+);/g,
+    )) {
+      variables[property] = value.trim();
+    }
+  }
+  return variables;
+}
+
+describe("built-in definitions", () => {
+  it("define every animation type", () => {
+    for (const name of ELEMENT_ANIMATIONS) {
+      expect(getBuiltInDefinition(name), name).toBeDefined();
+    }
+    expect(getBuiltInDefinition("draw")).toBeUndefined();
+    expect(getBuiltInDefinition("toString")).toBeUndefined();
+  });
+
+  it("match the variables of animations.css", () => {
+    for (const name of ELEMENT_ANIMATIONS) {
+      const { from } = getBuiltInDefinition(name);
+      if (!from) continue;
+      const expected = Object.fromEntries(
+        Object.entries(from).map(([key, value]) => [`--${key}`, String(value)]),
+      );
+      expect(getCSSVariables(name), name).toEqual(expected);
+    }
+  });
+});
+
+describe("reveal definitions", () => {
+  it("clip the same shapes as animations.css", () => {
+    const reveals = ANIMATION_TYPES.filter((name) =>
+      name.startsWith("reveal-"),
+    );
+    expect(reveals).toHaveLength(4);
+    for (const name of reveals) {
+      const variables = getCSSVariables(name);
+      const [from, to] = getBuiltInDefinition(name).keyframes;
+      expect(from.clipPath, name).toBe(variables["--rs-clip-from"]);
+      expect(to.clipPath, name).toBe(variables["--rs-clip-to"]);
+    }
+  });
+});
+
+describe("createKeyframes", () => {
+  it("builds the transform from the hidden state to the visible state", () => {
+    const [from, to] = createKeyframes({
+      from: { tx: -20, scale: 0.8, rotate: 5, opacity: 0.5 },
+    });
+
+    expect(from).toEqual({
+      opacity: 0.5,
+      transform:
+        "translate3d(-20px, 0, 0) scale(0.8) rotateX(0deg) rotateY(0deg) rotate(5deg)",
+    });
+    expect(to.opacity).toBe(1);
+  });
+
+  it("adds a filter only for definitions with filter variables", () => {
+    const [from, to] = createKeyframes(getBuiltInDefinition("focus-in"));
+
+    expect(from.filter).toBe("blur(8px) grayscale(1) brightness(1.2)");
+    expect(to.filter).toBe("blur(0px) grayscale(0) brightness(1)");
+    expect(createKeyframes({ from: { ty: 10 } })[0].filter).toBeUndefined();
+  });
+
+  it("replaces --rs-distance with the resolved distance", () => {
+    const [from] = createKeyframes(getBuiltInDefinition("fade-down"), "40px");
+
+    expect(from.transform).toContain("translate3d(0, calc(-1 * 40px), 0)");
+  });
+
+  it("replaces --rs-perspective with the resolved perspective", () => {
+    const [from, to] = createKeyframes(
+      getBuiltInDefinition("flip-up"),
+      undefined,
+      "800px",
+    );
+
+    expect(from.transform).toBe("perspective(800px) rotateX(-100deg)");
+    expect(to.transform).toBe("perspective(800px) rotateX(0)");
+    expect(createKeyframes(getBuiltInDefinition("flip-up"))[0].transform).toBe(
+      "perspective(2500px) rotateX(-100deg)",
+    );
+  });
+
+  it("copies explicit keyframes", () => {
+    const definition = getBuiltInDefinition("slide-up");
+    const keyframes = createKeyframes(definition);
+
+    expect(keyframes).toEqual(definition.keyframes);
+    expect(keyframes[0]).not.toBe(definition.keyframes[0]);
+  });
+});
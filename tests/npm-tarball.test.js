@@ -74,6 +74,8 @@ describe("npm tarball install contract", () => {
         "package/dist/animations.css",
         "package/dist/index.d.ts",
         "package/dist/svelte.d.ts",
+        "package/dist/devtools.js",
+        "package/dist/devtools.d.ts",
         "package/README.md",
         "package/LICENSE",
         "package/logo.png",
@@ -107,9 +109,11 @@ describe("npm tarball install contract", () => {
           bunBin,
           "-e",
           `const mod = await import("rune-scroller");
+const devtools = await import("rune-scroller/devtools");
 console.log(JSON.stringify({
   animate: typeof mod.animate,
   types: Array.isArray(mod.ANIMATION_TYPES),
+  devtools: typeof devtools.mountDevtools,
 }));`,
         ],
         {
@@ -123,6 +127,7 @@ console.log(JSON.stringify({
       const imported = JSON.parse(importResult.stdout.toString());
       expect(imported.animate).toBe("function");
       expect(imported.types).toBe(true);
+      expect(imported.devtools).toBe("function");
 
       const cssResult = Bun.spawnSync(
         [
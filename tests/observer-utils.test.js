@@ -3,6 +3,7 @@ import { Window } from "happy-dom";
 import {
   createManagedObserver,
   disconnectObserver,
+  getActiveObservers,
 } from "../src/lib/observer-utils.js";
 
 describe("Observer Utilities", () => {
@@ -87,6 +88,43 @@ describe("Observer Utilities", () => {
       second.release();
     });
 
+    it("passes the whole observer batch to each subscriber", () => {
+      const other = document.createElement("div");
+      document.body.appendChild(other);
+      /** @type {unknown[]} */
+      const batches = [];
+      /** @type {IntersectionObserverCallback | undefined} */
+      let deliver;
+      const RealObserver = global.IntersectionObserver;
+      global.IntersectionObserver = class extends RealObserver {
+        constructor(cb, opts) {
+          super(cb, opts);
+          deliver = cb;
+        }
+      };
+      const first = createManagedObserver(
+        testElement,
+        (_entries, _observer, batch) => batches.push(batch),
+        { threshold: 0.3 },
+      );
+      const second = createManagedObserver(
+        other,
+        (_entries, _observer, batch) => batches.push(batch),
+        { threshold: 0.3 },
+      );
+      const entries = [
+        { target: testElement, isIntersecting: true },
+        { target: other, isIntersecting: true },
+      ];
+
+      deliver?.(entries, first.observer);
+
+      expect(batches).toEqual([entries, entries]);
+      first.release();
+      second.release();
+      global.IntersectionObserver = RealObserver;
+    });
+
     it("handles threshold option", () => {
       result = createManagedObserver(testElement, () => {}, {
         threshold: 0.25,
@@ -109,6 +147,32 @@ describe("Observer Utilities", () => {
       expect(result.observer).toBeDefined();
     });
 
+    it("shares one observer per scroll root", () => {
+      const panel = document.createElement("div");
+      const other = document.createElement("div");
+      const sibling = document.createElement("div");
+      document.body.append(panel, other, sibling);
+
+      const first = createManagedObserver(testElement, () => {}, {
+        root: panel,
+      });
+      const second = createManagedObserver(sibling, () => {}, { root: panel });
+      const third = createManagedObserver(sibling, () => {}, { root: other });
+      const viewport = createManagedObserver(testElement, () => {}, {
+        root: null,
+      });
+      const implicit = createManagedObserver(sibling, () => {}, {});
+
+      expect(second.observer).toBe(first.observer);
+      expect(third.observer).not.toBe(first.observer);
+      expect(implicit.observer).toBe(viewport.observer);
+      expect(viewport.observer).not.toBe(first.observer);
+
+      for (const managed of [first, second, third, viewport, implicit]) {
+        managed.release();
+      }
+    });
+
     it("handles both options", () => {
       const root = document.createElement("div");
       result = createManagedObserver(testElement, () => {}, {
@@ -176,6 +240,39 @@ describe("Observer Utilities", () => {
     });
   });
 
+  describe("getActiveObservers", () => {
+    it("lists shared observers with copies of their options and targets", () => {
+      const other = document.createElement("div");
+      document.body.appendChild(other);
+      const options = { threshold: [0, 0.5], rootMargin: "10px" };
+      result = createManagedObserver(testElement, () => {}, options);
+      const second = createManagedObserver(other, () => {}, options);
+
+      const [info] = getActiveObservers().filter(
+        (entry) => entry.observer === result.observer,
+      );
+      expect(info.targets).toEqual([testElement, other]);
+      expect(info.options.threshold).toEqual([0, 0.5]);
+
+      info.options.threshold.push(1);
+      info.targets.length = 0;
+      const [again] = getActiveObservers().filter(
+        (entry) => entry.observer === result.observer,
+      );
+      expect(again.targets).toHaveLength(2);
+      expect(again.options.threshold).toEqual([0, 0.5]);
+
+      second.release();
+      result.release();
+      expect(
+        getActiveObservers().some(
+          (entry) => entry.observer === result.observer,
+        ),
+      ).toBe(false);
+      other.remove();
+    });
+  });
+
   describe("Integration Tests", () => {
     it("complete lifecycle with real observer", () => {
       result = createManagedObserver(testElement, () => {}, { threshold: 0.5 });
@@ -8,10 +8,14 @@ describe("package metadata", () => {
     expect(packageJson.sideEffects).toEqual(["*.css"]);
   });
 
-  it("declares the framework-neutral core, Svelte entry, and stylesheet exports", () => {
+  it("declares the framework-neutral core, Svelte entry, devtools, and stylesheet exports", () => {
     expect(packageJson.exports["."].default).toBe("./dist/index.js");
     expect(packageJson.exports["./svelte"].svelte).toBe("./dist/svelte.js");
     expect(packageJson.exports["./svelte"].types).toBe("./dist/svelte.d.ts");
+    expect(packageJson.exports["./devtools"]).toEqual({
+      types: "./dist/devtools.d.ts",
+      default: "./dist/devtools.js",
+    });
     expect(packageJson.exports["./animations.css"]).toBe(
       "./dist/animations.css",
     );
@@ -22,8 +22,8 @@ const legacyAliases = 7;
 
 describe("README public claims", () => {
   it("documents the primary animation count separately from legacy aliases", () => {
-    expect(ANIMATION_TYPES).toHaveLength(36);
-    expect(readme).toContain("29 primary animations + 7 legacy aliases");
+    expect(ANIMATION_TYPES).toHaveLength(45);
+    expect(readme).toContain("38 primary animations + 7 legacy aliases");
   });
 
   it("leads with Svelte-first usage through the dedicated ./svelte entry", () => {
@@ -58,7 +58,7 @@ describe("README public claims", () => {
 
   it("documents the IntersectionObserver browser requirement", () => {
     expect(readme).toContain("IntersectionObserver");
-    expect(ANIMATION_TYPES.length - legacyAliases).toBe(29);
+    expect(ANIMATION_TYPES.length - legacyAliases).toBe(38);
   });
 
   it("documents AnimateOptions defaults with units", () => {
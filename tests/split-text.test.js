@@ -0,0 +1,134 @@
+import { beforeEach, describe, expect, it } from "bun:test";
+import { Window } from "happy-dom";
+import { splitText } from "../src/lib/split-text.js";
+
+let window;
+let document;
+let element;
+
+beforeEach(() => {
+  window = new Window();
+  document = window.document;
+  element = document.createElement("p");
+  document.body.appendChild(element);
+});
+
+describe("splitText", () => {
+  /** Text of the element without the visually hidden copies. */
+  function visibleText() {
+    const clone = element.cloneNode(true);
+    for (const copy of clone.querySelectorAll(".rs-sr")) copy.remove();
+    return clone.textContent;
+  }
+
+  it("wraps each word in a hidden piece behind a screen reader copy", () => {
+    element.innerHTML = "Hello  brave\nworld";
+
+    const split = splitText(element, "words");
+
+    expect(split.pieces.map((piece) => piece.textContent)).toEqual([
+      "Hello",
+      "brave",
+      "world",
+    ]);
+    expect(split.groups).toHaveLength(3);
+    expect(split.pieces[0].className).toBe("rs-word");
+    expect(split.pieces[0].getAttribute("aria-hidden")).toBe("true");
+    const copy = element.firstElementChild;
+    expect(copy?.className).toBe("rs-sr");
+    expect(copy?.textContent).toBe("Hello  brave\nworld");
+    expect(copy?.hasAttribute("aria-hidden")).toBe(false);
+    expect(copy?.style.position).toBe("absolute");
+    expect(element.hasAttribute("aria-label")).toBe(false);
+    expect(visibleText()).toBe("Hello  brave\nworld");
+  });
+
+  it("splits characters inside word wrappers, keeping inline markup", () => {
+    element.innerHTML = "Hi <em>you</em>";
+
+    const split = splitText(element, "chars");
+
+    expect(split.pieces.map((piece) => piece.textContent)).toEqual([
+      "H",
+      "i",
+      "y",
+      "o",
+      "u",
+    ]);
+    expect(split.pieces[2].className).toBe("rs-char");
+    expect(split.pieces[2].parentElement.className).toBe("rs-word");
+    expect(split.pieces[2].parentElement.parentElement.tagName).toBe("EM");
+    expect(
+      [...element.querySelectorAll(".rs-sr")].map((copy) => copy.textContent),
+    ).toEqual(["Hi ", "you"]);
+  });
+
+  it("keeps the accessible text of links inside the split text", () => {
+    element.innerHTML = "Read <a href='#'>the docs</a> now";
+
+    splitText(element, "words");
+
+    const link = element.querySelector("a");
+    const copy = link.querySelector(".rs-sr");
+    expect(copy?.textContent).toBe("the docs");
+    expect(copy?.closest("[aria-hidden]")).toBeNull();
+    for (const word of link.querySelectorAll(".rs-word")) {
+      expect(word.getAttribute("aria-hidden")).toBe("true");
+    }
+  });
+
+  it("groups words by rendered line", () => {
+    element.innerHTML = "one two three four";
+    const tops = { one: 0, two: 0, three: 24, four: 24 };
+    const descriptor = Object.getOwnPropertyDescriptor(
+      window.HTMLElement.prototype,
+      "offsetTop",
+    );
+    Object.defineProperty(window.HTMLElement.prototype, "offsetTop", {
+      configurable: true,
+      get() {
+        return tops[this.textContent] ?? 0;
+      },
+    });
+
+    try {
+      const split = splitText(element, "lines");
+
+      expect(
+        split.groups.map((line) => line.map((piece) => piece.textContent)),
+      ).toEqual([
+        ["one", "two"],
+        ["three", "four"],
+      ]);
+      expect(split.pieces).toHaveLength(4);
+    } finally {
+      if (descriptor) {
+        Object.defineProperty(
+          window.HTMLElement.prototype,
+          "offsetTop",
+          descriptor,
+        );
+      } else {
+        delete window.HTMLElement.prototype.offsetTop;
+      }
+    }
+  });
+
+  it("restores the original text nodes and leaves aria-label alone", () => {
+    element.innerHTML = "Hello <a href='#'>big world</a>";
+    element.setAttribute("aria-label", "Greeting");
+    const hello = element.firstChild;
+    const link = element.querySelector("a");
+    const linkText = link.firstChild;
+
+    const split = splitText(element, "chars");
+    expect(element.getAttribute("aria-label")).toBe("Greeting");
+
+    split.restore();
+
+    expect(element.innerHTML).toBe('Hello <a href="#">big world</a>');
+    expect(element.firstChild).toBe(hello);
+    expect(link.firstChild).toBe(linkText);
+    expect(element.getAttribute("aria-label")).toBe("Greeting");
+  });
+});
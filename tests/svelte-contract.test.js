@@ -1,6 +1,7 @@
 import { describe, expect, it } from "bun:test";
 import * as svelteEntry from "../src/lib/svelte.js";
 import svelteDefault from "../src/lib/svelte.js";
+import * as rootEntry from "../src/lib/index.js";
 
 describe("Svelte entry contract", () => {
   it("exposes the Svelte action as the default export", () => {
@@ -28,4 +29,9 @@ describe("Svelte entry contract", () => {
     expect(Array.isArray(svelteEntry.ANIMATION_TYPES)).toBe(true);
     expect(typeof svelteEntry.calculateRootMargin).toBe("function");
   });
+
+  it("shares the global configuration with the root entry", () => {
+    expect(svelteEntry.configure).toBe(rootEntry.configure);
+    expect(svelteEntry.getDefaults).toBe(rootEntry.getDefaults);
+  });
 });
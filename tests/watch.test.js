@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, expect, it } from "bun:test";
+import { Window } from "happy-dom";
+import { watch } from "../src/lib/watch.js";
+import { mockIntersectionObserver } from "./__mocks__/IntersectionObserver.js";
+
+let window;
+let document;
+let feed;
+let watcher;
+
+/** Let happy-dom deliver the queued MutationObserver records. */
+function flushMutations() {
+  return window.happyDOM.waitUntilComplete();
+}
+
+/** @param {string} [className] */
+function createCard(className = "card") {
+  const card = document.createElement("article");
+  card.className = className;
+  return card;
+}
+
+beforeEach(() => {
+  window = new Window();
+  document = window.document;
+  globalThis.window = window;
+  globalThis.document = document;
+  globalThis.MutationObserver = window.MutationObserver;
+  globalThis.getComputedStyle = () => ({
+    transitionProperty: "opacity, transform",
+  });
+  mockIntersectionObserver.install();
+
+  feed = document.createElement("section");
+  document.body.appendChild(feed);
+});
+
+afterEach(() => {
+  watcher?.destroy();
+  watcher = undefined;
+  mockIntersectionObserver.reset();
+  mockIntersectionObserver.uninstall();
+  delete globalThis.window;
+  delete globalThis.document;
+  delete globalThis.MutationObserver;
+  delete globalThis.getComputedStyle;
+});
+
+describe("watch", () => {
+  it("binds elements already present in the root", () => {
+    const card = createCard();
+    feed.appendChild(card);
+
+    watcher = watch(feed, ".card", { animation: "fade-up" });
+
+    expect(watcher.elements).toEqual([card]);
+    expect(card.getAttribute("data-animation")).toBe("fade-up");
+  });
+
+  it("binds inserted matches and their matching descendants", async () => {
+    watcher = watch(feed, ".card", { animation: "fade-up" });
+
+    const card = createCard();
+    const page = document.createElement("div");
+    const nested = createCard();
+    page.append(nested, createCard("other"));
+    feed.append(card, page);
+    await flushMutations();
+
+    expect(watcher.elements).toEqual([card, nested]);
+    expect(nested.getAttribute("data-animation")).toBe("fade-up");
+    expect(mockIntersectionObserver.getObserverFor(card)).toBeDefined();
+  });
+
+  it("destroys handles of removed elements so they can be animated again", async () => {
+    const card = createCard();
+    feed.appendChild(card);
+    watcher = watch(feed, ".card", { animation: "fade" });
+
+    card.remove();
+    await flushMutations();
+
+    expect(watcher.elements).toHaveLength(0);
+    expect(card.classList.contains("scroll-animate")).toBe(false);
+    expect(mockIntersectionObserver.getObserverFor(card)).toBeUndefined();
+
+    feed.appendChild(card);
+    await flushMutations();
+
+    expect(watcher.elements).toEqual([card]);
+    expect(card.getAttribute("data-animation")).toBe("fade");
+  });
+
+  it("keeps the handle of an element moved within the root", async () => {
+    const card = createCard();
+    const column = document.createElement("div");
+    feed.append(card, column);
+    watcher = watch(feed, ".card", { animation: "fade", repeat: true });
+    mockIntersectionObserver.trigger(card, true);
+
+    column.appendChild(card);
+    await flushMutations();
+
+    expect(watcher.elements).toEqual([card]);
+    expect(card.classList.contains("is-visible")).toBe(true);
+  });
+
+  it("applies updated options to current and future matches", async () => {
+    const first = createCard();
+    feed.appendChild(first);
+    watcher = watch(feed, ".card", { animation: "fade" });
+
+    watcher.update({ animation: "zoom-in" });
+    const second = createCard();
+    feed.appendChild(second);
+    await flushMutations();
+
+    expect(first.getAttribute("data-animation")).toBe("zoom-in");
+    expect(second.getAttribute("data-animation")).toBe("zoom-in");
+  });
+
+  it("stops watching on destroy", async () => {
+    const card = createCard();
+    feed.appendChild(card);
+    watcher = watch(feed, ".card", { animation: "fade" });
+
+    watcher.destroy();
+    const late = createCard();
+    feed.appendChild(late);
+    await flushMutations();
+
+    expect(card.hasAttribute("data-animation")).toBe(false);
+    expect(late.hasAttribute("data-animation")).toBe(false);
+  });
+});